@@ -0,0 +1,9 @@
+// main.js — entry point. The wrapper itself is the shared runtime (shared/main.js
+// at the repository root); what makes this app this app is profile.json here.
+// Packaged builds carry the runtime inside the app as ./shared (see build.files
+// in package.json); a checkout run with `electron .` uses ../shared directly.
+const path = require('path');
+const fs = require('fs');
+
+const bundled = path.join(__dirname, 'shared');
+require(path.join(fs.existsSync(bundled) ? bundled : path.join(__dirname, '..', 'shared'), 'main.js'));
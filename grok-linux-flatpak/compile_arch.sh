@@ -30,6 +30,9 @@ pacman_install_if_missing() {
 
 require_project_root() {
   [[ -f package.json ]] || die "package.json not found. Run from project root."
+  [[ -f profile.json ]] || die "profile.json not found. Run from project root."
+  # The runtime is shared by every wrapper and packaged in from the repo root.
+  [[ -f ../shared/main.js ]] || die "../shared/main.js not found. Build from a full checkout."
 }
 
 ensure_npm() {
@@ -139,7 +142,9 @@ build_and_install_flatpak() {
   # /tmp is a tmpfs and is often too small for Electron builds (the unpacked app
   # alone is ~300 MB and flatpak-bundler copies it twice).  Use a directory under
   # $HOME where space is plentiful, and clean it up afterwards regardless of outcome.
-  local BUILD_TMP="$HOME/.cache/grok-flatpak-tmp"
+  local APP_SLUG
+  APP_SLUG=$(node -p "require('./package.json').build.appId.split('.').pop()")
+  local BUILD_TMP="$HOME/.cache/${APP_SLUG}-flatpak-tmp"
   mkdir -p "$BUILD_TMP"
   trap 'rm -rf "$BUILD_TMP"' EXIT
 
@@ -31,6 +31,9 @@ apt_install_if_missing() {
 
 require_project_root() {
   [[ -f package.json ]] || die "package.json not found. Run from project root."
+  [[ -f profile.json ]] || die "profile.json not found. Run from project root."
+  # The runtime is shared by every wrapper and packaged in from the repo root.
+  [[ -f ../shared/main.js ]] || die "../shared/main.js not found. Build from a full checkout."
 }
 
 ensure_npm() {
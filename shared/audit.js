@@ -0,0 +1,169 @@
+// audit.js — the firewall audit log for the shared wrapper runtime.
+//
+// A durable record of what the app contacted: one NDJSON line per request the
+// firewall judged, in firewall-audit.ndjson in userData:
+//
+//   {"ts":"2026-10-19T09:14:03.112Z","host":"claude.ai","scheme":"https","resourceType":"xhr","decision":"allow","reason":"allowedHosts"}
+//
+// A suite adds "service". There is no path or query: which hosts were
+// contacted is the record, what was said to them is not.
+//
+// Lines are buffered and appended once a second (and on quit), so the firewall
+// never waits on the disk. At AUDIT_MAX_BYTES the file rotates:
+// firewall-audit.ndjson becomes firewall-audit.1.ndjson, .1 becomes .2, and so
+// on, keeping AUDIT_KEEP old files - a bounded record, whatever the sites do.
+//
+// `--firewall-audit-summary[=FROM..TO]` reads the files back as per-host
+// counts (see auditSummary).
+//
+// Plain Node, no Electron.
+const path = require('path');
+const fs = require('fs');
+
+const AUDIT_LOG_FILE = 'firewall-audit.ndjson';
+const AUDIT_MAX_BYTES = 5 * 1024 * 1024;
+const AUDIT_KEEP = 3;
+const AUDIT_FLUSH_MS = 1000;
+
+function rotatedFile(file, n) {
+  return file.replace(/\.ndjson$/, `.${n}.ndjson`);
+}
+
+// The log's files, oldest first (rotated ones that do not exist are skipped).
+function auditFiles(file) {
+  const files = [];
+  for (let n = AUDIT_KEEP; n >= 1; n--) files.push(rotatedFile(file, n));
+  files.push(file);
+  return files.filter((f) => fs.existsSync(f));
+}
+
+function rotate(file) {
+  try { fs.unlinkSync(rotatedFile(file, AUDIT_KEEP)); } catch {}
+  for (let n = AUDIT_KEEP - 1; n >= 1; n--) {
+    try { fs.renameSync(rotatedFile(file, n), rotatedFile(file, n + 1)); } catch {}
+  }
+  fs.renameSync(file, rotatedFile(file, 1));
+}
+
+// Returns { write(entry), flush() }. write() stamps and queues an entry;
+// flush() appends the queue now (called on quit). A failing disk is reported
+// through onError once per flush and the lines are dropped: the firewall goes
+// on either way.
+function createAuditLog(file, onError = () => {}) {
+  let pending = [];
+  let size = null;
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending.length) return;
+    const text = pending.join('');
+    pending = [];
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      if (size === null) {
+        try { size = fs.statSync(file).size; } catch { size = 0; }
+      }
+      const bytes = Buffer.byteLength(text);
+      if (size > 0 && size + bytes > AUDIT_MAX_BYTES) {
+        rotate(file);
+        size = 0;
+      }
+      fs.appendFileSync(file, text, 'utf8');
+      size += bytes;
+    } catch (err) {
+      size = null;
+      onError(err);
+    }
+  }
+
+  function write(entry) {
+    pending.push(`${JSON.stringify({ ts: new Date().toISOString(), ...entry })}\n`);
+    if (!timer) {
+      timer = setTimeout(flush, AUDIT_FLUSH_MS);
+      timer.unref?.();
+    }
+  }
+
+  return { write, flush };
+}
+
+// "2026-10-01..2026-10-18", "2026-10-01.." (from), "..2026-10-18" (until),
+// "2026-10-18" (that day) or '' (everything). Dates are UTC days, as the log's
+// timestamps are, and both ends are included. Returns { from, to } (null = open)
+// or null when the range is not one of those.
+function parseAuditRange(text) {
+  const DATE = /^\d{4}-\d{2}-\d{2}$/;
+  // Date rolls 2026-02-30 over into March: a real day reads back unchanged.
+  const valid = (d) => {
+    if (!DATE.test(d)) return false;
+    const t = Date.parse(`${d}T00:00:00Z`);
+    return !Number.isNaN(t) && new Date(t).toISOString().slice(0, 10) === d;
+  };
+  const raw = (text || '').trim();
+  if (!raw) return { from: null, to: null };
+  if (!raw.includes('..')) return valid(raw) ? { from: raw, to: raw } : null;
+  const [from, to] = raw.split('..').map((s) => s.trim());
+  if ((from && !valid(from)) || (to && !valid(to))) return null;
+  if (from && to && from > to) return null;
+  return { from: from || null, to: to || null };
+}
+
+function pad(text, width, right = false) {
+  const s = String(text);
+  if (s.length >= width) return s;
+  return right ? ' '.repeat(width - s.length) + s : s + ' '.repeat(width - s.length);
+}
+
+// Per-host allowed / blocked counts over the range, busiest first, as text.
+// Lines that are not audit entries (a torn write, a hand edit) are counted
+// and skipped.
+function auditSummary(file, range) {
+  const files = auditFiles(file);
+  const hosts = new Map(); // "service: host" or host -> { allow, block }
+  let total = 0;
+  let skipped = 0;
+  for (const f of files) {
+    let text = '';
+    try { text = fs.readFileSync(f, 'utf8'); } catch { continue; }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch { skipped++; continue; }
+      if (!entry || typeof entry.ts !== 'string' || typeof entry.host !== 'string'
+        || (entry.decision !== 'allow' && entry.decision !== 'block')) { skipped++; continue; }
+      const day = entry.ts.slice(0, 10);
+      if ((range.from && day < range.from) || (range.to && day > range.to)) continue;
+      const key = entry.service ? `${entry.service}: ${entry.host}` : entry.host;
+      if (!hosts.has(key)) hosts.set(key, { allow: 0, block: 0 });
+      hosts.get(key)[entry.decision]++;
+      total++;
+    }
+  }
+
+  const span = range.from || range.to ? `${range.from || 'start'} to ${range.to || 'now'} (UTC)` : 'all dates';
+  const lines = [`Firewall audit summary - ${span}`];
+  if (!files.length) {
+    lines.push(`No audit log at ${file}.`);
+    return lines.join('\n') + '\n';
+  }
+  lines.push(`From ${files.map((f) => path.basename(f)).join(', ')} in ${path.dirname(file)}: ${total} request(s)`
+    + `${skipped ? `, ${skipped} unreadable line(s) skipped` : ''}.`, '');
+  if (!total) {
+    lines.push('No requests in that range.');
+    return lines.join('\n') + '\n';
+  }
+  const rows = [...hosts.entries()].sort((a, b) => (b[1].allow + b[1].block) - (a[1].allow + a[1].block) || a[0].localeCompare(b[0]));
+  const width = Math.max(4, ...rows.map(([key]) => key.length));
+  lines.push(`${pad('Host', width)}  ${pad('Allowed', 9, true)}  ${pad('Blocked', 9, true)}`);
+  for (const [key, n] of rows) lines.push(`${pad(key, width)}  ${pad(n.allow, 9, true)}  ${pad(n.block, 9, true)}`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  AUDIT_LOG_FILE,
+  auditSummary,
+  createAuditLog,
+  parseAuditRange,
+};
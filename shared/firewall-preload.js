@@ -0,0 +1,15 @@
+// firewall-preload.js — bridge for the local firewall activity window
+// (firewall.html). main.js records what the firewall cancels and pushes it
+// here; the window asks for hosts to be allowed. Mirrors settings-preload.js.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('llFirewall', {
+  allow: (service, host, permanent) => ipcRenderer.send('ll-fw-allow', { service, host, permanent }),
+  clear: () => ipcRenderer.send('ll-fw-clear'),
+  close: () => ipcRenderer.send('ll-fw-close'),
+  onState: (cb) => {
+    ipcRenderer.on('ll-fw-state', (_event, state) => cb(state));
+    // Ask main for the current activity once the listener exists.
+    ipcRenderer.send('ll-fw-ready');
+  },
+});
@@ -0,0 +1,112 @@
+// firewall-window.js — UI logic for the firewall activity window (firewall.html).
+// Renders whatever main.js pushes, most recent first; Allow / Always send the
+// host back and main answers with the new state.
+(function () {
+  var api = window.llFirewall || { allow: function () {}, clear: function () {}, close: function () {}, onState: function () {} };
+
+  var headEl = document.getElementById('head');
+  var entriesEl = document.getElementById('entries');
+  var emptyEl = document.getElementById('empty');
+  var filterEl = document.getElementById('filter');
+  var problemEl = document.getElementById('problem');
+  var statusEl = document.getElementById('status');
+
+  var state = null;
+
+  function cell(tr, text, className) {
+    var td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    tr.appendChild(td);
+    return td;
+  }
+
+  function time(ms) {
+    var d = new Date(ms);
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+    return pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+  }
+
+  function button(label, title, onClick) {
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function renderHead() {
+    headEl.textContent = '';
+    var cols = (state.suite ? ['Service'] : []).concat(['Host', 'Type', 'Page', 'Count', 'Last', '']);
+    cols.forEach(function (c) {
+      var th = document.createElement('th');
+      th.textContent = c;
+      headEl.appendChild(th);
+    });
+  }
+
+  function render() {
+    if (!state) return;
+    var needle = filterEl.value.trim().toLowerCase();
+    var shown = state.entries.filter(function (e) {
+      return !needle || [e.host, e.resourceType, e.initiator, e.service].some(function (v) {
+        return (v || '').toLowerCase().indexOf(needle) !== -1;
+      });
+    });
+    entriesEl.textContent = '';
+    shown.forEach(function (e) {
+      var tr = document.createElement('tr');
+      if (state.suite) cell(tr, e.service);
+      cell(tr, (e.scheme && e.scheme !== 'https' ? e.scheme + '://' : '') + e.host, 'host');
+      cell(tr, e.resourceType);
+      cell(tr, e.initiator || '-', 'page').title = e.initiator;
+      cell(tr, String(e.count), 'num');
+      cell(tr, time(e.last), 'time');
+      var actions = cell(tr, '', 'actions');
+      if (e.allowed) {
+        actions.textContent = e.allowed === 'permanent' ? 'Allowed' : 'Allowed for now';
+        actions.classList.add('allowed');
+      } else if (e.allowable) {
+        actions.appendChild(button('Allow', 'Allow ' + e.host + ' until the app quits', function () {
+          api.allow(e.serviceId, e.host, false);
+        }));
+        actions.appendChild(button('Always', 'Allow ' + e.host + ' and save it to hosts.json', function () {
+          api.allow(e.serviceId, e.host, true);
+        }));
+      } else if (e.loopback) {
+        actions.textContent = 'Local service';
+        actions.title = 'Add ' + e.scheme + '://' + e.host + ' to loopbackOrigins in hosts.json to let the page reach it.';
+      } else if (e.deniedBy) {
+        actions.textContent = 'Denied by rule';
+        actions.title = e.deniedBy;
+      } else {
+        var insecure = e.scheme !== 'https' && e.scheme !== 'wss';
+        actions.textContent = insecure ? 'Not secure' : 'Managed';
+        actions.title = insecure
+          ? 'Only https (and wss) connections are ever allowed.'
+          : 'The firewall is set by your administrator.';
+      }
+      entriesEl.appendChild(tr);
+    });
+    emptyEl.hidden = shown.length > 0;
+    emptyEl.textContent = state.entries.length ? 'Nothing matches the filter.' : 'Nothing blocked yet.';
+    var total = state.entries.reduce(function (n, e) { return n + e.count; }, 0);
+    statusEl.textContent = total ? total + ' blocked request' + (total === 1 ? '' : 's') : '';
+  }
+
+  filterEl.addEventListener('input', render);
+  document.getElementById('clear').addEventListener('click', function () { api.clear(); });
+  document.getElementById('close').addEventListener('click', function () { api.close(); });
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') { e.preventDefault(); api.close(); }
+  });
+
+  api.onState(function (next) {
+    var first = !state;
+    state = next;
+    if (first) renderHead();
+    problemEl.textContent = next.problem || '';
+    render();
+  });
+})();
@@ -0,0 +1,194 @@
+// har.js — HAR capture for the shared wrapper runtime.
+//
+// `--capture-har <file>` records every request the service sessions make, as
+// webRequest sees it, and writes them as a HAR 1.2 file when the app quits:
+// the thing to attach to a bug report when a site update breaks the app and it
+// is not obvious whether the firewall, a permission or the site's own CSP is
+// to blame. Besides the standard fields each entry has
+//
+//   _firewall      { decision: "allow" | "block", reason } - the verdict, with
+//                  the audit log's reasons (audit.js)
+//   _error         why it failed: a request the firewall cancelled ends in
+//                  net::ERR_BLOCKED_BY_CLIENT with status 0
+//   _resourceType  Chromium's request type (mainFrame, xhr, image, ...)
+//   _service       in a suite, the service's id
+//
+// webRequest sees headers, never bodies: content is the declared size and
+// type only, request bodies are counted but not kept, and the whole request
+// is one `wait` timing. Cookie, Set-Cookie and Authorization values are
+// written as "[redacted]" so a capture can be shared without handing over the
+// session; URLs are kept as they are. After HAR_MAX_ENTRIES requests the rest
+// are counted in the log's comment and dropped.
+//
+// Plain Node, no Electron.
+const path = require('path');
+const fs = require('fs');
+
+const HAR_MAX_ENTRIES = 20000;
+const REDACTED_HEADERS = new Set(['authorization', 'cookie', 'proxy-authorization', 'set-cookie']);
+
+// `--capture-har <file>` or `--capture-har=<file>`. Returns null when not asked
+// for, else { file } - '' when the file is missing.
+function parseHarArg(argv) {
+  const i = argv.findIndex((a) => a === '--capture-har' || a.startsWith('--capture-har='));
+  if (i === -1) return null;
+  if (argv[i] !== '--capture-har') return { file: argv[i].slice('--capture-har='.length).trim() };
+  const next = argv[i + 1];
+  return { file: next && !next.startsWith('--') ? next : '' };
+}
+
+// webRequest headers ({ name: value | [values] }) as HAR's [{ name, value }].
+function headerList(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    for (const v of Array.isArray(value) ? value : [value]) {
+      list.push({ name, value: REDACTED_HEADERS.has(name.toLowerCase()) ? '[redacted]' : String(v) });
+    }
+  }
+  return list;
+}
+
+function headerValue(list, name) {
+  const found = list.find((h) => h.name.toLowerCase() === name);
+  return found ? found.value : null;
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function uploadSize(uploadData) {
+  if (!Array.isArray(uploadData)) return 0;
+  return uploadData.reduce((n, part) => n + (part && part.bytes ? part.bytes.length : 0), 0);
+}
+
+// "HTTP/1.1 200 OK" -> { httpVersion, statusText }
+function parseStatusLine(line) {
+  const m = /^(\S+)\s+\d{3}\s*(.*)$/.exec(line || '');
+  return m ? { httpVersion: m[1], statusText: m[2] } : { httpVersion: 'unknown', statusText: '' };
+}
+
+// Returns { begin, sent, responded, redirected, finished, toHar }. Requests are
+// keyed by the caller (webRequest ids are per session): begin() opens an entry
+// - again for each hop of a redirect - and finished() or redirected() closes
+// it. Events for a key that was never begun are ignored.
+function createHarRecorder() {
+  const entries = [];
+  const open = new Map(); // key -> entry
+  let dropped = 0;
+
+  function begin(key, details, firewall, service = null) {
+    if (entries.length >= HAR_MAX_ENTRIES) {
+      dropped++;
+      return;
+    }
+    const started = details.timestamp || Date.now();
+    const entry = {
+      startedDateTime: new Date(started).toISOString(),
+      time: 0,
+      request: {
+        method: details.method || 'GET',
+        url: details.url,
+        httpVersion: 'unknown',
+        cookies: [],
+        headers: [],
+        queryString: queryString(details.url),
+        headersSize: -1,
+        bodySize: uploadSize(details.uploadData),
+      },
+      response: {
+        status: 0,
+        statusText: '',
+        httpVersion: 'unknown',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1,
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 },
+      _resourceType: details.resourceType || 'other',
+      _firewall: firewall,
+      ...(service ? { _service: service } : {}),
+    };
+    // Not enumerable, so it stays out of the file.
+    Object.defineProperty(entry, 'started', { value: started });
+    entries.push(entry);
+    open.set(key, entry);
+  }
+
+  function sent(key, details) {
+    const entry = open.get(key);
+    if (entry) entry.request.headers = headerList(details.requestHeaders);
+  }
+
+  function applyResponse(entry, details) {
+    if (!details.statusCode) return;
+    const { httpVersion, statusText } = parseStatusLine(details.statusLine);
+    const headers = headerList(details.responseHeaders);
+    const length = Number(headerValue(headers, 'content-length'));
+    const size = headerValue(headers, 'content-length') !== null && Number.isSafeInteger(length) ? length : -1;
+    entry.request.httpVersion = httpVersion;
+    Object.assign(entry.response, {
+      status: details.statusCode,
+      statusText,
+      httpVersion,
+      headers,
+      content: { size: Math.max(size, 0), mimeType: headerValue(headers, 'content-type') || '' },
+      bodySize: details.fromCache ? 0 : size,
+    });
+    if (details.ip) entry.serverIPAddress = details.ip;
+    if (details.fromCache) entry._fromCache = true;
+  }
+
+  function responded(key, details) {
+    const entry = open.get(key);
+    if (entry) applyResponse(entry, details);
+  }
+
+  function finished(key, details, error = null) {
+    const entry = open.get(key);
+    if (!entry) return;
+    open.delete(key);
+    applyResponse(entry, details);
+    if (error) entry._error = error;
+    entry.time = Math.max(0, (details.timestamp || Date.now()) - entry.started);
+    entry.timings.wait = entry.time;
+  }
+
+  function redirected(key, details) {
+    const entry = open.get(key);
+    if (entry) entry.response.redirectURL = details.redirectURL || '';
+    finished(key, details);
+  }
+
+  // Requests still open when this is called are marked unfinished.
+  function toHar(creator) {
+    for (const entry of open.values()) entry._error = entry._error || 'unfinished when the capture was written';
+    const comment = dropped ? `${dropped} request(s) after the first ${HAR_MAX_ENTRIES} were not recorded.` : undefined;
+    return { log: { version: '1.2', creator, ...(comment ? { comment } : {}), entries } };
+  }
+
+  return { begin, sent, responded, redirected, finished, toHar };
+}
+
+// Write the capture; returns how many requests it holds.
+function writeHar(file, recorder, creator) {
+  const har = recorder.toHar(creator);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(har, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+  return har.log.entries.length;
+}
+
+module.exports = {
+  createHarRecorder,
+  parseHarArg,
+  writeHar,
+};
@@ -0,0 +1,114 @@
+// headers.js — outgoing request header scrubbing for the shared wrapper runtime.
+//
+// The firewall decides which hosts are contacted; this decides what they are
+// told. Configured per profile, next to allowedHosts:
+//
+//   "requestHeaders": {
+//     "referer": "origin",
+//     "clientHints": "drop",
+//     "remove": { "cloudflareinsights.com": ["cookie"], "*": ["x-requested-with"] }
+//   }
+//
+//   referer      "origin" (default) trims Referer to the page's origin, "none"
+//                drops it, "keep" sends it as Chromium would.
+//   clientHints  "drop" (default) removes the Sec-CH-UA* user-agent client
+//                hints, which describe the wrapper's Chromium build rather
+//                than a browser the site knows; "keep" sends them.
+//   remove       Header names to delete, by host (matched like allowedHosts'
+//                plain entries: the host and its subdomains) or "*" for all.
+//
+// Every key is optional; a profile without requestHeaders gets the defaults.
+//
+// An anonymous request (the image tier: a picture from a host outside
+// allowedHosts, see main.js) also loses its Cookie and Referer, whatever the
+// rules say.
+//
+// Plain Node, no Electron.
+const { isHostEntry } = require('./rules');
+
+const REFERER_MODES = ['origin', 'none', 'keep'];
+const CLIENT_HINT_MODES = ['drop', 'keep'];
+
+function defaultRequestHeaders() {
+  return { referer: 'origin', clientHints: 'drop', remove: [] };
+}
+
+// Normalize a profile's requestHeaders. Throws on anything malformed, like the
+// rest of the profile. remove becomes [{ host, headers }] with host null = "*".
+function parseRequestHeaders(raw) {
+  const rules = defaultRequestHeaders();
+  if (raw == null) return rules;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('[profile] "requestHeaders" must be an object');
+  }
+  for (const key of Object.keys(raw)) {
+    if (!['referer', 'clientHints', 'remove'].includes(key)) {
+      throw new Error(`[profile] "requestHeaders" has an unknown key ${JSON.stringify(key)}`);
+    }
+  }
+  if (raw.referer != null) {
+    if (!REFERER_MODES.includes(raw.referer)) {
+      throw new Error(`[profile] "requestHeaders.referer" must be one of ${REFERER_MODES.map((m) => `"${m}"`).join(', ')}`);
+    }
+    rules.referer = raw.referer;
+  }
+  if (raw.clientHints != null) {
+    if (!CLIENT_HINT_MODES.includes(raw.clientHints)) {
+      throw new Error(`[profile] "requestHeaders.clientHints" must be one of ${CLIENT_HINT_MODES.map((m) => `"${m}"`).join(', ')}`);
+    }
+    rules.clientHints = raw.clientHints;
+  }
+  if (raw.remove != null) {
+    if (typeof raw.remove !== 'object' || Array.isArray(raw.remove)) {
+      throw new Error('[profile] "requestHeaders.remove" must be an object of host: [header names]');
+    }
+    for (const [host, names] of Object.entries(raw.remove)) {
+      const key = host.trim().toLowerCase();
+      if (key !== '*' && !isHostEntry(key)) {
+        throw new Error(`[profile] "requestHeaders.remove" key ${JSON.stringify(host)} is not a bare hostname or "*"`);
+      }
+      if (!Array.isArray(names) || !names.every((n) => typeof n === 'string' && /^[A-Za-z0-9-]+$/.test(n))) {
+        throw new Error(`[profile] "requestHeaders.remove.${host}" must be an array of header names`);
+      }
+      rules.remove.push({ host: key === '*' ? null : key, headers: names.map((n) => n.toLowerCase()) });
+    }
+  }
+  return rules;
+}
+
+// Apply the rules to one request. Returns { headers, changes } - a new headers
+// object, and what was done in words ([] when nothing).
+function scrubHeaders(rules, urlString, headers, anonymous = false) {
+  let host = '';
+  try { host = new URL(urlString).hostname.toLowerCase(); } catch {}
+  const remove = new Set();
+  for (const r of rules.remove) {
+    if (!r.host || host === r.host || host.endsWith(`.${r.host}`)) r.headers.forEach((h) => remove.add(h));
+  }
+
+  const out = {};
+  const changes = [];
+  const dropped = [];
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (remove.has(lower)) { changes.push(`removed ${lower}`); continue; }
+    if (anonymous && (lower === 'cookie' || lower === 'referer')) { changes.push(`anonymous: dropped ${lower}`); continue; }
+    if (rules.clientHints === 'drop' && lower.startsWith('sec-ch-ua')) { dropped.push(lower); continue; }
+    if (lower === 'referer' && rules.referer !== 'keep') {
+      if (rules.referer === 'none') { changes.push('dropped referer'); continue; }
+      let origin = null;
+      try { origin = `${new URL(value).origin}/`; } catch {}
+      if (!origin || origin === 'null/') { changes.push('dropped referer'); continue; }
+      if (origin !== value) { out[name] = origin; changes.push('referer trimmed to origin'); continue; }
+    }
+    out[name] = value;
+  }
+  if (dropped.length) changes.push(`dropped ${dropped.join(', ')}`);
+  return { headers: out, changes };
+}
+
+module.exports = {
+  defaultRequestHeaders,
+  parseRequestHeaders,
+  scrubHeaders,
+};
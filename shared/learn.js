@@ -0,0 +1,183 @@
+// learn.js — the firewall learn-mode report for the shared wrapper runtime.
+//
+// `--firewall-learn` records every request the firewall would cancel (and every
+// permission request it refuses an untrusted host) for a session, and this
+// turns the record into a report for the wrapper's maintainer: what was
+// attempted, grouped by host with its resource types and the first-party pages
+// that asked for it, and a suggested profile.json change as a unified diff.
+// Nothing is changed automatically - a new CDN is a decision, not a default.
+//
+// Suggestions are exact hosts: whether "static.example.com" should become
+// "example.com" is for the maintainer to judge.
+//
+// Plain Node, no Electron.
+const { parseProfile, hostMatches } = require('./profile');
+const { rulesAllow } = require('./rules');
+
+const LEARN_REPORT_FILE = 'firewall-learn-report.txt';
+
+// A service's record: host -> { scheme, deniedBy, types: Map, initiators: Map }
+// and host -> Map(permission -> count).
+function createLearnRecord() {
+  return { hosts: new Map(), perms: new Map() };
+}
+
+function bump(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// One request the firewall did not allow. `initiator` is the first-party
+// origin that caused it ('' when unknown).
+function learnRequest(record, { host, scheme, resourceType, initiator, deniedBy }) {
+  let entry = record.hosts.get(host);
+  if (!entry) {
+    entry = { scheme, deniedBy: null, types: new Map(), initiators: new Map() };
+    record.hosts.set(host, entry);
+  }
+  if (scheme === 'https') entry.scheme = 'https';
+  entry.deniedBy = deniedBy || entry.deniedBy;
+  bump(entry.types, resourceType || 'other');
+  bump(entry.initiators, initiator || '(unknown)');
+}
+
+function learnPermission(record, host, permission) {
+  if (!record.perms.has(host)) record.perms.set(host, new Map());
+  bump(record.perms.get(host), permission);
+}
+
+function counts(map) {
+  return [...map.entries()].sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} ${n}`).join(', ');
+}
+
+// ---------------- Unified diff ----------------
+// Profiles are a few dozen lines, so a plain LCS table is fine. Hunks carry
+// three lines of context, as diff -u writes them.
+function unifiedDiff(oldText, newText, label) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  if (a[a.length - 1] === '') a.pop();
+  if (b[b.length - 1] === '') b.pop();
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = []; // [' '|'-'|'+', line]
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) { ops.push([' ', a[i]]); i++; j++; }
+    else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) { ops.push(['-', a[i]]); i++; }
+    else { ops.push(['+', b[j]]); j++; }
+  }
+  if (!ops.some(([op]) => op !== ' ')) return '';
+
+  const CONTEXT = 3;
+  const keep = ops.map(() => false);
+  ops.forEach(([op], k) => {
+    if (op === ' ') return;
+    for (let c = Math.max(0, k - CONTEXT); c <= Math.min(ops.length - 1, k + CONTEXT); c++) keep[c] = true;
+  });
+  const out = [`--- a/${label}`, `+++ b/${label}`];
+  let oldLine = 1;
+  let newLine = 1;
+  for (let k = 0; k < ops.length;) {
+    if (!keep[k]) {
+      if (ops[k][0] !== '+') oldLine++;
+      if (ops[k][0] !== '-') newLine++;
+      k++;
+      continue;
+    }
+    const hunk = [];
+    const oldStart = oldLine;
+    const newStart = newLine;
+    for (; k < ops.length && keep[k]; k++) {
+      const [op, line] = ops[k];
+      hunk.push(`${op}${line}`);
+      if (op !== '+') oldLine++;
+      if (op !== '-') newLine++;
+    }
+    out.push(`@@ -${oldStart},${oldLine - oldStart} +${newStart},${newLine - newStart} @@`, ...hunk);
+  }
+  return out.join('\n') + '\n';
+}
+
+// ---------------- Report ----------------
+// `services`: [{ name, profileFile, profileText, record }], where profileText
+// is the shipped profile.json. The record was taken against the lists in force
+// (hosts.json and policy applied), so a host those took away is noted rather
+// than suggested.
+function learnReport({ appTitle, mode, when, services }) {
+  const lines = [
+    `Firewall learn report - ${appTitle}`,
+    `Written ${when.toISOString()}; mode: ${mode === 'block'
+      ? 'block (unlisted requests were still cancelled)'
+      : 'allow (unlisted https requests were let through)'}.`,
+    '',
+  ];
+
+  for (const svc of services) {
+    lines.push(`== ${svc.name} (${svc.profileFile}) ==`, '');
+    let raw;
+    let shipped;
+    try {
+      raw = JSON.parse(svc.profileText);
+      shipped = parseProfile(raw, '');
+    } catch (err) {
+      lines.push(`profile.json could not be read (${err.message}) - no suggestion.`, '');
+      continue;
+    }
+
+    const addAllowed = [];
+    const addTrusted = [];
+    const notes = [];
+    const hosts = [...svc.record.hosts.entries()].sort((x, y) => x[0].localeCompare(y[0]));
+    if (hosts.length) lines.push('Requests outside the firewall:');
+    for (const [host, entry] of hosts) {
+      const total = [...entry.types.values()].reduce((n, c) => n + c, 0);
+      lines.push(`  ${host}  (${total})`, `      types: ${counts(entry.types)}`, `      from:  ${counts(entry.initiators)}`);
+      if (entry.scheme !== 'https') notes.push(`${host}: plain ${entry.scheme}, which is never allowed.`);
+      else if (entry.deniedBy) notes.push(`${host}: denied by the rule ${entry.deniedBy}.`);
+      else if ([...entry.types.keys()].every((type) => rulesAllow(shipped.allowedHosts, `https://${host}/`, type))) {
+        notes.push(`${host}: allowed by profile.json but not by the list in force (hosts.json or policy).`);
+      } else if (!addAllowed.includes(host)) addAllowed.push(host);
+    }
+    if (!hosts.length) lines.push('No requests outside the firewall.');
+    lines.push('');
+
+    const perms = [...svc.record.perms.entries()].sort((x, y) => x[0].localeCompare(y[0]));
+    if (perms.length) {
+      lines.push('Permission requests from untrusted hosts:');
+      for (const [host, map] of perms) {
+        lines.push(`  ${host}: ${counts(map)}`);
+        // An unset trustedHosts means "same as allowedHosts".
+        if (!shipped.trustedHosts) {
+          if (!rulesAllow(shipped.allowedHosts, `https://${host}/`, 'mainFrame') && !addAllowed.includes(host)) addAllowed.push(host);
+        } else if (!hostMatches(`https://${host}/`, shipped.trustedHosts) && !addTrusted.includes(host)) {
+          addTrusted.push(host);
+        }
+      }
+      lines.push('');
+    }
+
+    if (notes.length) lines.push('Notes:', ...notes.map((n) => `  ${n}`), '');
+
+    const next = { ...raw };
+    if (addAllowed.length) next.allowedHosts = [...raw.allowedHosts, ...addAllowed];
+    if (addTrusted.length) next.trustedHosts = [...raw.trustedHosts, ...addTrusted];
+    const diff = unifiedDiff(svc.profileText, JSON.stringify(next, null, 2) + '\n', 'profile.json');
+    if (diff) lines.push('Suggested change (review each host; apply in the wrapper directory with patch -p1):', '', diff);
+    else lines.push('No change suggested.', '');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  LEARN_REPORT_FILE,
+  createLearnRecord,
+  learnPermission,
+  learnReport,
+  learnRequest,
+  unifiedDiff,
+};
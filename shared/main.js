@@ -0,0 +1,3234 @@
+// main.js — the shared wrapper runtime. Every *-linux-flatpak app runs this file.
+const { app, BrowserWindow, WebContentsView, shell, clipboard, session, Menu, ipcMain, dialog, Notification } = require('electron');
+
+// NOTE: GPU/hardware-acceleration switches are NOT set here. Chromium reads
+// feature flags (e.g. --disable-features=Vulkan) before this script runs, so
+// app.commandLine.appendSwitch() is too late for them. They are passed on the
+// real launch command line via the flatpak target's `executableArgs` in
+// package.json instead. See the [gpu] logging in app.whenReady() below.
+//
+// Vulkan/Wayland: useWaylandFlags appends `--ozone-platform=wayland` to the
+// launch command, which is incompatible with Vulkan (Chromium logs a warning
+// from wayland_surface_factory). `--disable-features=Vulkan` is kept as intent
+// but is CONFIRMED ineffective for the GPU vulkan status in this Electron-42
+// flatpak: re-test showed the switch arrives intact (see the [gpu] cmdline log)
+// yet post-init still reports vulkan:enabled_on (and webgpu:enabled despite
+// being disabled too) — Chromium ignores the disable list for these. On NVIDIA
+// `hardwareSupportsVulkan:false`, so the warning is cosmetic there. Actually
+// suppressing Vulkan needs a heavier, cross-vendor lever (force GL/ANGLE backend
+// or --ozone-platform=x11), which must be validated on AMD before adopting.
+// `--ignore-gpu-blocklist` was removed for a separate reason (it force-enables
+// blocklisted video-decode paths on non-NVIDIA GPUs); do not re-add it.
+const path = require('path');
+const fs = require('fs');
+
+const { loadAppProfile, profileProblems, hostMatches, applyHostOverrides, isHostEntry } = require('./profile');
+const { firewallVerdict, isLoopbackHost, loopbackOrigin, rulesAllow } = require('./rules');
+const { scrubHeaders } = require('./headers');
+const { checkPins, pinsFor } = require('./pins');
+const { AUDIT_LOG_FILE, auditSummary, createAuditLog, parseAuditRange } = require('./audit');
+const { createHarRecorder, parseHarArg, writeHar } = require('./har');
+const {
+  TRAFFIC_FILE, countRequest, createTraffic, loadTrafficDays, localDay, responseBytes, saveTrafficDays,
+} = require('./traffic');
+const { LEARN_REPORT_FILE, createLearnRecord, learnPermission, learnReport, learnRequest } = require('./learn');
+const { USERSCRIPT_DIR, USERSCRIPT_STATE_FILE, loadUserscripts, userscriptMatches } = require('./userscripts');
+const { USERSTYLE_DIR, loadUserStyles, userStyleMatches } = require('./userstyles');
+const {
+  SETTINGS_FILE, SHORTCUT_ACTIONS, defaultSettings, loadSettings, matchesShortcut, normalizeSettings,
+  parseAccelerator, saveSettings,
+} = require('./settings');
+const { loadPolicy, lockSettings, lockedSettingKeys, pinnedHosts } = require('./policy');
+
+// ---------------- Firewall audit summary (command line) ----------------
+// `--firewall-audit-summary[=FROM..TO]` prints the audit log's per-host counts
+// (see audit.js) and exits before anything else happens: no window, and no
+// single-instance lock, so it also works while the app is running.
+const AUDIT_LOG_PATH = path.join(app.getPath('userData'), AUDIT_LOG_FILE);
+const auditSummaryArg = process.argv.find((a) => a === '--firewall-audit-summary' || a.startsWith('--firewall-audit-summary='));
+if (auditSummaryArg) {
+  const range = parseAuditRange(auditSummaryArg.slice('--firewall-audit-summary='.length));
+  if (!range) {
+    console.error('[audit] the range must look like 2026-10-01..2026-10-18, 2026-10-01.., ..2026-10-18 or 2026-10-18');
+    process.exit(2);
+  }
+  process.stdout.write(auditSummary(AUDIT_LOG_PATH, range));
+  process.exit(0);
+}
+
+// ---------------- Safe mode ----------------
+// A recovery start for when a userscript, a user style, a Chromium flag or a
+// corrupt restore-state.json keeps the app from coming up. `--safe-mode` asks
+// for it; two failed starts in a row trigger it on the next launch. It skips
+// the restore state (every service opens its home page), the user's own
+// userscripts/ and styles/, the runtime's Chromium switches, and GPU
+// acceleration (which neutralizes the GPU flags the flatpak passes on the
+// launch command line). Shipped userscripts, hosts.json and settings.json
+// still apply: they are the app's behaviour and its firewall, not add-ons.
+// A notice bar says what is off and offers a normal restart.
+//
+// startup.json counts starts that have not yet proved healthy: +1 on every
+// start, back to 0 once the page has run for STARTUP_GRACE_MS without its
+// renderer dying (or the user quits cleanly before then). A start that never
+// gets there leaves the count up. Safe mode itself leaves the count alone, so
+// a crash-triggered safe mode sticks until "Restart normally".
+const STARTUP_FILE = path.join(app.getPath('userData'), 'startup.json');
+const SAFE_MODE_AFTER_FAILED_STARTS = 2;
+const STARTUP_GRACE_MS = 20000;
+
+function readFailedStarts() {
+  try {
+    const n = JSON.parse(fs.readFileSync(STARTUP_FILE, 'utf8'))?.pending;
+    return Number.isInteger(n) && n > 0 ? n : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function writeFailedStarts(n) {
+  try {
+    fs.mkdirSync(path.dirname(STARTUP_FILE), { recursive: true });
+    fs.writeFileSync(STARTUP_FILE, JSON.stringify({ pending: n }), 'utf8');
+  } catch {}
+}
+
+const FAILED_STARTS = readFailedStarts();
+// 'flag' | 'crashes' | null - why this start is in safe mode.
+const SAFE_MODE = process.argv.includes('--safe-mode') ? 'flag'
+  : FAILED_STARTS >= SAFE_MODE_AFTER_FAILED_STARTS ? 'crashes' : null;
+
+if (SAFE_MODE) {
+  app.disableHardwareAcceleration();
+  console.log(`[safe-mode] on (${SAFE_MODE === 'flag' ? '--safe-mode' : `${FAILED_STARTS} failed starts`}): no restore state, user scripts, user styles, Chromium switches or GPU acceleration.`);
+} else {
+  // Allow audio without a prior user gesture (Chromium blocks autoplay by default)
+  app.commandLine.appendSwitch('autoplay-policy', 'no-user-gesture-required');
+}
+
+let startupSettled = !!SAFE_MODE; // healthy, failed or safe: startup.json is done with
+let startupTimer = null;
+
+// Called once the window exists: the start counts as healthy if no page
+// renderer dies within the grace period.
+function watchStartup() {
+  if (startupSettled || startupTimer) return;
+  startupTimer = setTimeout(() => {
+    startupSettled = true;
+    writeFailedStarts(0);
+  }, STARTUP_GRACE_MS);
+}
+
+function startupFailed(reason) {
+  if (startupSettled) return;
+  startupSettled = true;
+  clearTimeout(startupTimer);
+  console.error(`[safe-mode] startup failed (${reason}); ${FAILED_STARTS + 1} failed start(s) in a row.`);
+}
+
+// Leave safe mode: forget the failed starts and relaunch without the flag.
+function restartNormally() {
+  writeFailedStarts(0);
+  app.relaunch({ args: process.argv.slice(1).filter((a) => a !== '--safe-mode') });
+  app.quit();
+}
+
+// ============================================================================
+//  APP PROFILE - the ONLY per-app input to this runtime.
+//  Everything that makes a wrapper Claude or Lumo lives in profile.json in the
+//  app directory (next to package.json and the icon); see profile.js for the
+//  fields. Nothing in this file mentions a site.
+// ============================================================================
+
+// The app directory: the *-linux-flatpak checkout under `electron .`, the
+// app.asar root once packaged. profile.json and 512x512.png live there; this
+// runtime's own files (preloads, local pages) live next to this file.
+const APP_DIR = app.getAppPath();
+const APP_PROFILE = loadAppProfile(APP_DIR);
+const APP_ICON = path.join(APP_DIR, '512x512.png');
+
+// Window/taskbar title until the page supplies its own.
+const APP_TITLE = APP_PROFILE.title;
+
+// A suite (see loadAppProfile) hosts several services in one window behind a
+// switcher strip; a plain wrapper hosts exactly one and shows no strip.
+const IS_SUITE = APP_PROFILE.suite;
+
+// ============================== END APP PROFILE =============================
+
+// ---------------- Admin policy ----------------
+// policy.json (see policy.js) is keyed by the app id profile.json names, so
+// every build - flatpak, .deb or a checkout - finds the same policy.
+// FLATPAK_ID only stands in for a profile without one. Read before anything
+// it restricts.
+const APP_ID = APP_PROFILE.appId || process.env.FLATPAK_ID || null;
+if (process.env.FLATPAK_ID && APP_ID !== process.env.FLATPAK_ID) {
+  console.warn(`[policy] profile.json appId ${APP_ID} is not this flatpak's id ${process.env.FLATPAK_ID}`);
+}
+const POLICY = (() => {
+  const { policy, problems } = loadPolicy(APP_ID);
+  for (const problem of problems) console.error(`[policy] ${problem}`);
+  if (policy.file) console.log(`[policy] in force: ${policy.file}`);
+  return policy;
+})();
+
+// ---------------- Ephemeral mode ----------------
+// `--ephemeral` runs every service on an in-memory partition (no "persist:"
+// prefix) instead of its usual session: cookies, cache, site storage and
+// spellcheck words are gone when the app quits, and restore state is neither
+// read nor written. Nor are the audit log and traffic.json, which would keep
+// a per-host history of the session. Settings, hosts.json and downloads are
+// the user's own doing and are still saved. The window title carries EPHEMERAL_MARK.
+const EPHEMERAL = process.argv.includes('--ephemeral');
+const EPHEMERAL_MARK = ' (ephemeral session)';
+if (EPHEMERAL) console.log('[ephemeral] in-memory sessions: nothing the sites store is kept.');
+
+function windowTitle(title) {
+  return EPHEMERAL ? `${title}${EPHEMERAL_MARK}` : title;
+}
+
+// ---------------- Services ----------------
+// A service is one site: its profile, its effective host lists, where its files
+// live and (once the window exists) its session. A plain wrapper's single
+// service runs on session.defaultSession with its files directly in userData,
+// exactly where they have always been. A suite gives each service a persistent
+// partition and a userData/<id>/ directory, so logins, cookies, restore state
+// and hosts.json never mix between sites. Ephemeral mode (above) swaps either
+// for an in-memory partition.
+const SERVICES = APP_PROFILE.services.map(createService);
+
+function createService(profile) {
+  const dataDir = IS_SUITE ? path.join(app.getPath('userData'), profile.id) : app.getPath('userData');
+  const hosts = loadEffectiveHosts(profile, path.join(dataDir, 'hosts.json'), pinnedHosts(POLICY, profile.id));
+  return {
+    id: profile.id,
+    title: profile.title,
+    // First page on a cold start, and the fallback when there is no restore state.
+    homeUrl: profile.homeUrl,
+    allowedHosts: hosts.allowedHosts,
+    inAppHosts: hosts.inAppHosts,
+    trustedHosts: hosts.trustedHosts,
+    loopbackOrigins: hosts.loopbackOrigins, // local services the page may reach; see rules.js
+    requestHeaders: profile.requestHeaders, // see headers.js
+    certificatePins: profile.certificatePins, // see pins.js; null = none
+    // Shipped userscripts first, the user's own second (same name = replaced).
+    userscripts: loadServiceUserscripts(profile, dataDir),
+    userstyles: loadServiceUserStyles(dataDir), // reloaded on change, see watchUserStylesOnce()
+    dataDir,
+    profileDir: profile.dir, // its profile.json, for the learn-mode report
+    partition: EPHEMERAL ? `ephemeral-${profile.id || 'main'}` : IS_SUITE ? `persist:${profile.id}` : null,
+    ses: null, // see serviceSession()
+  };
+}
+
+// The user's hosts.json (see applyHostOverrides) edits the profile's lists
+// before anything reads them. Absent file = the profile as shipped. A policy
+// pin replaces allowedHosts outright, and hosts.json may not edit it or open
+// loopback origins.
+function loadEffectiveHosts(profile, file, pinned) {
+  if (pinned) profile = { ...profile, allowedHosts: pinned };
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch {
+    return { allowedHosts: profile.allowedHosts, inAppHosts: profile.inAppHosts, trustedHosts: profile.trustedHosts, loopbackOrigins: [] };
+  }
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (err) {
+    console.error(`[hosts] ${file} is not valid JSON (${err.message}) - ignored.`);
+    return { allowedHosts: profile.allowedHosts, inAppHosts: profile.inAppHosts, trustedHosts: profile.trustedHosts, loopbackOrigins: [] };
+  }
+  if (pinned && overrides && overrides.allowedHosts != null) {
+    console.error(`[policy] ${file}: allowedHosts is pinned by policy - its edits are ignored.`);
+    overrides = { ...overrides };
+    delete overrides.allowedHosts;
+  }
+  if (pinned && overrides && overrides.loopbackOrigins != null) {
+    console.error(`[policy] ${file}: allowedHosts is pinned by policy - loopbackOrigins is ignored.`);
+    overrides = { ...overrides };
+    delete overrides.loopbackOrigins;
+  }
+  const result = applyHostOverrides(profile, overrides);
+  for (const problem of result.problems) console.error(`[hosts] ${file}: ${problem}`);
+  return result;
+}
+
+function loadServiceUserscripts(profile, dataDir) {
+  const dirs = [path.join(profile.dir, USERSCRIPT_DIR)];
+  // The user's own scripts: not in safe mode, nor under a policy that forbids them.
+  if (!POLICY.userscripts) console.log(`[policy] ${profile.id ? `${profile.id}: ` : ''}user scripts are disabled.`);
+  else if (!SAFE_MODE) dirs.push(path.join(dataDir, USERSCRIPT_DIR));
+  const { scripts, problems } = loadUserscripts(dirs, path.join(dataDir, USERSCRIPT_STATE_FILE));
+  for (const problem of problems) console.error(`[userscript] ${problem}`);
+  return scripts;
+}
+
+function loadServiceUserStyles(dataDir) {
+  if (SAFE_MODE) return [];
+  const { styles, problems } = loadUserStyles(path.join(dataDir, USERSTYLE_DIR));
+  for (const problem of problems) console.error(`[userstyle] ${problem}`);
+  return styles;
+}
+
+// Only valid once the app is ready (partitions cannot be opened before).
+function serviceSession(svc) {
+  if (!svc.ses) svc.ses = svc.partition ? session.fromPartition(svc.partition) : session.defaultSession;
+  return svc.ses;
+}
+
+// Log prefix naming the service in a suite; empty for a plain wrapper.
+function svcTag(svc) {
+  return svc.id ? `${svc.id}: ` : '';
+}
+
+let win = null;
+let creatingPromise = null;
+
+// Page machinery (built inside createWindowOnce, exposed here for the
+// module-level IPC handlers and helpers). Null while no window exists.
+let pageApi = null;
+
+// The site pages live in WebContentsViews, which BrowserWindow.fromWebContents()
+// cannot resolve (it returns undefined), so fall back to the main window — the
+// only window that ever hosts a page. Pop-ups are real BrowserWindows and
+// resolve normally.
+function ownerWindowFor(contents) {
+  const w = BrowserWindow.fromWebContents(contents);
+  if (w && !w.isDestroyed()) return w;
+  return win && !win.isDestroyed() ? win : null;
+}
+const DOWNLOAD_BAR_HEIGHT = 34;
+const SWITCHER_HEIGHT = 34;
+const NOTICE_BAR_HEIGHT = 34;
+
+// ---------------- Restore-on-rerun state ----------------
+// One file per service (in its dataDir), so a suite restores each site to its
+// own page. An ephemeral run leaves the file alone: it is the normal session's.
+function stateFilePath(svc) {
+  return path.join(svc.dataDir, 'restore-state.json');
+}
+
+// state = { restoreUrl }
+function writeRestoreState(svc, restoreUrl) {
+  if (EPHEMERAL) return;
+  try {
+    fs.mkdirSync(svc.dataDir, { recursive: true });
+    fs.writeFileSync(stateFilePath(svc), JSON.stringify({ restoreUrl, ts: Date.now() }), 'utf8');
+  } catch {}
+}
+
+// Returns the URL to restore, or null.
+function readRestoreState(svc) {
+  if (EPHEMERAL) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(stateFilePath(svc), 'utf8'));
+    if (typeof data?.restoreUrl === 'string' && isInAppUrl(svc, data.restoreUrl)) return data.restoreUrl;
+    // Tabbed-build format ({ tabs, activeIndex }): restore just the active tab,
+    // so a state file left behind by that build still works here.
+    if (Array.isArray(data?.tabs)) {
+      const urls = data.tabs.filter((u) => typeof u === 'string' && isInAppUrl(svc, u));
+      if (!urls.length) return null;
+      const idx = Number.isInteger(data.activeIndex) ? data.activeIndex : 0;
+      return urls[Math.min(Math.max(idx, 0), urls.length - 1)];
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+function clearRestoreState(svc) {
+  if (EPHEMERAL) return;
+  try {
+    fs.unlinkSync(stateFilePath(svc));
+  } catch {}
+}
+
+function clearAllRestoreState() {
+  for (const svc of SERVICES) clearRestoreState(svc);
+}
+
+// Which service a suite showed last, so a relaunch comes back to it. Unlike the
+// per-page restore state this survives a real close: it is a preference, not a
+// session.
+function suiteStateFilePath() {
+  return path.join(app.getPath('userData'), 'suite-state.json');
+}
+
+function readActiveServiceId() {
+  try {
+    const data = JSON.parse(fs.readFileSync(suiteStateFilePath(), 'utf8'));
+    return typeof data?.active === 'string' ? data.active : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeActiveServiceId(id) {
+  try {
+    fs.writeFileSync(suiteStateFilePath(), JSON.stringify({ active: id }), 'utf8');
+  } catch {}
+}
+
+// ---------------- Domain policy ----------------
+// Three policies, each evaluated against one service's lists: the firewall's
+// rules (rules.js), and the bare-host in-app and trusted lists (hostMatches,
+// in profile.js). An unset in-app or trusted list falls back to whatever the
+// rules allow as a page.
+
+// "May the app make this request at all?" - the firewall predicate. Returns
+// { allowed, deniedBy } (see firewallVerdict).
+function firewallCheck(svc, urlString, resourceType) {
+  return firewallVerdict(svc.allowedHosts, urlString, resourceType);
+}
+
+// "Is this one of the local services the user opened?" - loopbackOrigins from
+// hosts.json, judged before (and instead of) the rules: a loopback URL that
+// does not pass here is blocked whatever else would allow it.
+function isLoopbackAllowed(svc, urlString) {
+  const origin = loopbackOrigin(urlString);
+  return !!origin && svc.loopbackOrigins.includes(origin);
+}
+
+// "May this load anyway, as an anonymous picture?" - the image tier. With the
+// openImages setting, images (and with "media", audio and video) from ANY
+// https host get through the firewall, so the pictures a site pulls in from
+// web searches render. They go without cookies or a Referer and may not set
+// cookies (see installHeaderScrubbingOnce, installCookiePolicyOnce); deny
+// rules still win, and documents, scripts and XHR stay held to allowedHosts.
+// Worked out again at each webRequest stage rather than remembered per request.
+// A policy pin closes the tier too, unless the policy sets openImages itself.
+function isImageTier(svc, details, verdict = null) {
+  if (settings.openImages === 'off') return false;
+  if (pinnedHosts(POLICY, svc.id) && !Object.hasOwn(POLICY.settings, 'openImages')) return false;
+  if (details.resourceType !== 'image' && !(details.resourceType === 'media' && settings.openImages === 'media')) return false;
+  try {
+    const u = new URL(details.url);
+    if (u.protocol !== 'https:' || isLoopbackHost(u.hostname)) return false;
+  } catch {
+    return false;
+  }
+  const v = verdict || firewallCheck(svc, details.url, details.resourceType);
+  return !v.allowed && !v.deniedBy;
+}
+
+// "May this be a top-level document in the app?" - the navigation, pop-up and
+// restore-state predicate. Meant to lie within the firewall; profileProblems
+// warns when it does not.
+function isInAppUrl(svc, urlString) {
+  if (svc.inAppHosts) return hostMatches(urlString, svc.inAppHosts);
+  return rulesAllow(svc.allowedHosts, urlString, 'mainFrame');
+}
+
+// "May this origin be granted camera / mic / clipboard / fullscreen?"
+function isTrustedUrl(svc, urlString) {
+  if (svc.trustedHosts) return hostMatches(urlString, svc.trustedHosts);
+  return rulesAllow(svc.allowedHosts, urlString, 'mainFrame');
+}
+
+function shouldOpenExternally(svc, targetUrl) {
+  try {
+    const u = new URL(targetUrl);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+    return !isInAppUrl(svc, targetUrl);
+  } catch {
+    return false;
+  }
+}
+
+// Config guard (see profileProblems), run on the lists as overridden by
+// hosts.json: removing the home host there blanks the app just as surely.
+// Cheap insurance while retargeting.
+for (const svc of SERVICES) {
+  for (const problem of profileProblems(svc)) console.error(`[config] ${svcTag(svc)}${problem}`);
+  const pinned = pinnedHosts(POLICY, svc.id) ? ' (pinned by policy)' : '';
+  console.log(`[hosts] ${svcTag(svc)}ALLOWED_HOSTS: ${JSON.stringify(svc.allowedHosts)}${pinned}`);
+  console.log(`[hosts] ${svcTag(svc)}IN_APP_HOSTS: ${JSON.stringify(svc.inAppHosts || svc.allowedHosts)}`);
+  console.log(`[hosts] ${svcTag(svc)}TRUSTED_HOSTS: ${JSON.stringify(svc.trustedHosts || svc.allowedHosts)}`);
+  if (svc.loopbackOrigins.length) console.log(`[hosts] ${svcTag(svc)}LOOPBACK_ORIGINS: ${JSON.stringify(svc.loopbackOrigins)}`);
+  for (const st of svc.userstyles) console.log(`[userstyle] ${svcTag(svc)}${st.file}`);
+  for (const us of svc.userscripts) {
+    console.log(`[userscript] ${svcTag(svc)}${us.file} (${us.runAt})${us.enabled ? '' : ' - disabled'}: ${us.path}`);
+  }
+}
+for (const id of Object.keys(POLICY.allowedHosts || {})) {
+  if (id !== '*' && !SERVICES.some((svc) => svc.id === id)) {
+    console.error(`[policy] allowedHosts names ${id}, which is not a service of this app - ignored.`);
+  }
+}
+
+// ---------------- Settings ----------------
+// settings.json (see settings.js) lives in userData itself, shared by all of a
+// suite's services. Read once here; the settings window replaces it through
+// applySettings(), and everything that depends on a setting reads `settings`
+// at the moment it acts, so most changes need no restart.
+//
+// `userSettings` is what the user chose (and what settings.json holds);
+// `settings` is what is in force: the same with the policy's locked values
+// laid over it.
+const SETTINGS_DIR = app.getPath('userData');
+let userSettings = defaultSettings();
+let settings = defaultSettings();
+let shortcuts = {}; // action id -> parsed accelerator (null = off)
+{
+  const { settings: loaded, problems } = loadSettings(SETTINGS_DIR);
+  for (const problem of problems) console.error(`[settings] ${path.join(SETTINGS_DIR, SETTINGS_FILE)}: ${problem}`);
+  applySettings(loaded);
+}
+
+function applySettings(next) {
+  const prev = settings;
+  userSettings = next;
+  settings = lockSettings(next, POLICY);
+  shortcuts = Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, parseAccelerator(settings.shortcuts[a.id])]));
+  if (JSON.stringify(prev.spellcheckLanguages) !== JSON.stringify(settings.spellcheckLanguages)) {
+    for (const svc of SERVICES) if (svc.ses) applySpellcheck(svc);
+  }
+  if (JSON.stringify(proxyConfig(prev)) !== JSON.stringify(proxyConfig(settings))) {
+    for (const svc of SERVICES) if (svc.ses) applyProxy(svc, true);
+  }
+}
+
+// The rebindable action (SHORTCUT_ACTIONS) an input event triggers, or null.
+function shortcutAction(input) {
+  for (const { id } of SHORTCUT_ACTIONS) if (matchesShortcut(shortcuts[id], input)) return id;
+  return null;
+}
+
+// Languages Chromium has no dictionary for are dropped (setSpellCheckerLanguages
+// throws on the whole list otherwise); an empty list turns spellcheck off.
+function applySpellcheck(svc) {
+  const ses = serviceSession(svc);
+  try {
+    const available = ses.availableSpellCheckerLanguages || [];
+    const langs = settings.spellcheckLanguages.filter((l) => {
+      if (!available.length || available.includes(l)) return true;
+      console.error(`[settings] ${svcTag(svc)}no spellcheck dictionary for ${l} - skipped.`);
+      return false;
+    });
+    ses.setSpellCheckerEnabled(langs.length > 0);
+    if (langs.length) ses.setSpellCheckerLanguages(langs);
+  } catch {}
+}
+
+// ---------------- Terminal-only logging helper ----------------
+function logIfTerminal(msg) {
+  try {
+    if (process?.stdout?.isTTY) console.log(msg);
+  } catch {}
+}
+
+// ---------------- Firewall audit log ----------------
+// Every verdict of the firewall below, allowed or blocked, appended to the
+// audit log (audit.js) unless the firewallAuditLog setting is off or the run
+// is ephemeral, and opening the request's HAR entry when capturing (see HAR
+// capture). svc is null for the window shell's session, which is not
+// captured.
+let auditFailureLogged = false;
+const auditLog = createAuditLog(AUDIT_LOG_PATH, (err) => {
+  if (auditFailureLogged) return;
+  auditFailureLogged = true;
+  console.error(`[audit] could not write ${AUDIT_LOG_PATH}: ${err.message}`);
+});
+
+function auditRequest(svc, details, decision, reason) {
+  if (harCapture && svc) harCapture.begin(harKey(svc, details), details, { decision, reason }, svc.id);
+  if (!settings.firewallAuditLog || EPHEMERAL) return;
+  let host = String(details.url);
+  let scheme = '';
+  try {
+    const u = new URL(details.url);
+    host = u.hostname.toLowerCase();
+    scheme = u.protocol.slice(0, -1);
+  } catch {}
+  auditLog.write({
+    ...(svc && svc.id ? { service: svc.id } : {}),
+    host,
+    scheme,
+    resourceType: details.resourceType || 'other',
+    decision,
+    reason,
+  });
+}
+
+// ---------------- HAR capture (once per session) ----------------
+// `--capture-har <file>` (har.js): every request of every service session,
+// with the firewall's verdict, written as a HAR file when the app quits. An
+// entry opens with the verdict (auditRequest above), takes its headers from
+// onSendHeaders / onResponseStarted / onBeforeRedirect - nothing else listens
+// to those - and closes in Traffic accounting's onCompleted / onErrorOccurred.
+const harArg = parseHarArg(process.argv);
+if (harArg && !harArg.file) {
+  console.error('[har] --capture-har needs a file to write, e.g. --capture-har ~/breakage.har');
+  process.exit(2);
+}
+const HAR_PATH = harArg ? path.resolve(harArg.file.replace(/^~(?=$|\/)/, app.getPath('home'))) : null;
+const harCapture = HAR_PATH ? createHarRecorder() : null;
+if (HAR_PATH) console.log(`[har] capturing every request; written to ${HAR_PATH} on quit`);
+const harSessions = new WeakSet();
+
+// webRequest ids are only unique within a session.
+function harKey(svc, details) {
+  return `${svc.id || ''}|${details.id}`;
+}
+
+function installHarCaptureOnce(svc) {
+  if (!harCapture) return;
+  const ses = serviceSession(svc);
+  if (harSessions.has(ses)) return;
+  harSessions.add(ses);
+
+  ses.webRequest.onSendHeaders({ urls: ['*://*/*'] }, (details) => {
+    try { harCapture.sent(harKey(svc, details), details); } catch {}
+  });
+  ses.webRequest.onResponseStarted({ urls: ['*://*/*'] }, (details) => {
+    try { harCapture.responded(harKey(svc, details), details); } catch {}
+  });
+  ses.webRequest.onBeforeRedirect({ urls: ['*://*/*'] }, (details) => {
+    try { harCapture.redirected(harKey(svc, details), details); } catch {}
+  });
+}
+
+function writeHarCapture() {
+  if (!harCapture) return;
+  try {
+    const n = writeHar(HAR_PATH, harCapture, { name: APP_TITLE, version: app.getVersion() });
+    console.log(`[har] wrote ${n} request(s) to ${HAR_PATH}`);
+  } catch (err) {
+    console.error(`[har] could not write ${HAR_PATH}: ${err.message}`);
+  }
+}
+
+// ---------------- Network lockdown (once per session) ----------------
+// Hard request filter on each service's session: only that service's
+// allowedHosts over https may make network requests; everything else is
+// cancelled. The filter is GLOBAL to the session, so it covers the page
+// WebContentsView, every in-app pop-up (they inherit their opener's session)
+// and every download (including the stall-watchdog's downloadURL restarts).
+//
+// The handler checks, in order:
+//
+//   1. Loopback hosts (rules.js), over any scheme ws/wss included: only the
+//      service's loopbackOrigins get through, whatever webSocketFilter or
+//      learn mode say - a page probing local ports gets nowhere.
+//   2. ws/wss, per the webSocketFilter setting (settings.js): "off" (the
+//      default) passes them untouched, the previous generation's exact
+//      semantics - do not "tighten" it without re-testing streaming
+//      responses; "report" logs the connections "strict" would stop, so
+//      streaming can be audited first; "strict" holds wss to the same rules
+//      (as resource type webSocket) and refuses plain ws.
+//   3. http/https, against allowedHosts.
+//
+// The '*://*/*' pattern only matches http/https/ws/wss, so blob:, data:,
+// file: (downloadbar.html, prompt.html) and devtools: never reach it.
+const lockedDownSessions = new WeakSet();
+const blockedHostsNotified = new Set();
+const webSocketReported = new Set();
+
+// The firewall's verdict on a ws:// or wss:// URL under strict filtering.
+function webSocketVerdict(svc, u) {
+  if (u.protocol === 'ws:') return { allowed: false, deniedBy: null };
+  return firewallCheck(svc, `https://${u.host}${u.pathname}${u.search}`, 'webSocket');
+}
+
+// Report mode: one line per service and host, however often it reconnects.
+// Not terminal-only like [blocked]: report mode is asked for, to be read.
+function reportWebSocket(svc, u, verdict) {
+  const key = `${svc.id || ''}|${u.protocol}//${u.host}`;
+  if (webSocketReported.has(key)) return;
+  webSocketReported.add(key);
+  const why = u.protocol === 'ws:' ? 'plain ws' : verdict.deniedBy ? `denied by ${verdict.deniedBy}` : 'domain not allowed';
+  console.log(`[ws] ${svcTag(svc)}strict mode would block ${u.protocol}//${u.host}${u.pathname} (${why})`);
+}
+
+function logBlockedUrl(detailsUrl, why = '') {
+  try {
+    if (!process?.stdout?.isTTY) return;
+    const u = new URL(detailsUrl);
+    const reason = why ? ` (${why})` : '';
+    console.log(`[blocked] ${u.origin}${u.pathname}${u.search}${reason}`);
+  } catch {
+    logIfTerminal(`[blocked] ${String(detailsUrl)}`);
+  }
+}
+
+// A cancelled SUBRESOURCE is usually harmless (an analytics beacon). A cancelled
+// DOCUMENT is what the user experiences as "the sign-in pop-up is just white" -
+// so surface that one, once per service and host, instead of failing silently.
+// Without this the only evidence is a [blocked] line on a TTY, which a flatpak
+// user never sees.
+//
+// The notification and a banner in the notice bar both offer the ways out:
+// open the document in the system browser, allow its host until the app quits
+// (and load it again), or the firewall window. Electron only shows notification
+// buttons on macOS; elsewhere a click on the notification brings the window up
+// with the banner, which the user may have dismissed by then.
+function notifyBlockedDocument(svc, details, verdict) {
+  try {
+    const u = new URL(details.url);
+    const host = u.hostname.toLowerCase();
+    const key = `${svc.id || ''}|${host}`;
+    if (blockedHostsNotified.has(key)) return;
+    blockedHostsNotified.add(key);
+    const blocked = {
+      svc,
+      url: details.url,
+      host,
+      resourceType: details.resourceType,
+      frame: details.resourceType === 'mainFrame' ? 'page' : 'frame',
+      contents: details.webContents || null,
+      // What the firewall window would offer an Allow button for.
+      allowable: u.protocol === 'https:' && !verdict.deniedBy && !pinnedHosts(POLICY, svc.id) && isHostEntry(host),
+    };
+    showBlockedNotice(blocked);
+    if (!Notification.isSupported()) return;
+    const choices = blockedChoices(blocked);
+    const n = new Notification(notifOptions({
+      title: 'Blocked by app firewall',
+      body: `${host} (${blocked.frame})`,
+      actions: choices.map((c) => ({ type: 'button', text: c.label })),
+    }));
+    n.on('action', (_e, index) => { if (choices[index]) blockedAction(blocked, choices[index].id); });
+    n.once('click', () => {
+      focusExistingWindow();
+      // Unless it was allowed in the meantime (banner, firewall window).
+      if (!firewallCheck(svc, blocked.url, blocked.resourceType).allowed) showBlockedNotice(blocked);
+    });
+    n.show();
+  } catch {}
+}
+
+function blockedChoices(blocked) {
+  const choices = [];
+  if (POLICY.externalLinks) choices.push({ id: 'browser', label: 'Open in browser' });
+  if (blocked.allowable) choices.push({ id: 'allow', label: 'Allow for this session' });
+  choices.push({ id: 'details', label: 'Details' });
+  return choices;
+}
+
+// Returns a problem string, or null.
+function blockedAction(blocked, id) {
+  if (id === 'details') {
+    openFirewallWindow();
+    return null;
+  }
+  if (id === 'browser') {
+    openExternal(blocked.url);
+    return null;
+  }
+  if (id !== 'allow') return null;
+  const problem = allowHost(blocked.svc, blocked.host, false);
+  if (problem) return problem;
+  // Load the blocked document again where it failed: the page (or pop-up) it
+  // was meant to be, or the page its frame is in.
+  const wc = blocked.contents;
+  try {
+    if (wc && !wc.isDestroyed()) {
+      if (blocked.frame === 'page') wc.loadURL(blocked.url).catch(() => {});
+      else wc.reload();
+    }
+  } catch {}
+  return null;
+}
+
+// The banner outranks a safe-mode or learn-mode notice only until it is dealt
+// with: dismissing it, or an action that settles it, brings that one back.
+function showBlockedNotice(blocked) {
+  if (!pageApi) return;
+  let previous = pageApi.currentNotice();
+  if (previous && previous.blocked) previous = previous.previous;
+  const restore = () => pageApi.showNotice(previous || null);
+  pageApi.showNotice({
+    blocked: true,
+    previous,
+    text: `The app firewall blocked a ${blocked.frame} from ${blocked.host}${IS_SUITE ? ` in ${blocked.svc.title}` : ''}.`,
+    actions: blockedChoices(blocked),
+    onAction: (id) => {
+      if (id === 'dismiss') return restore();
+      const problem = blockedAction(blocked, id);
+      if (problem) pageApi.showNotice({ blocked: true, previous, text: problem, actions: [], onAction: restore });
+      else if (id !== 'details') restore();
+    },
+  });
+}
+
+function installNetworkLockdownOnce(svc) {
+  const ses = serviceSession(svc);
+  if (lockedDownSessions.has(ses)) return;
+  lockedDownSessions.add(ses);
+
+  ses.webRequest.onBeforeRequest({ urls: ['*://*/*'] }, (details, cb) => {
+    try {
+      const u = new URL(details.url);
+
+      // Loopback first, over any scheme: only the listed origins (see
+      // isLoopbackAllowed), never learn mode, and no ws exception - a page
+      // probing local ports gets nowhere.
+      if (isLoopbackHost(u.hostname)) {
+        if (isLoopbackAllowed(svc, details.url)) {
+          auditRequest(svc, details, 'allow', 'loopbackOrigins');
+          return cb({ cancel: false });
+        }
+        logBlockedUrl(details.url, 'loopback origin not listed');
+        recordBlocked(svc, details, null);
+        auditRequest(svc, details, 'block', 'loopback origin not listed');
+        return cb({ cancel: true });
+      }
+
+      // WebSockets pass untouched unless webSocketFilter says otherwise (above).
+      if ((u.protocol === 'ws:' || u.protocol === 'wss:') && settings.webSocketFilter !== 'off') {
+        const ws = webSocketVerdict(svc, u);
+        if (ws.allowed) {
+          auditRequest(svc, details, 'allow', 'allowedHosts');
+          return cb({ cancel: false });
+        }
+        const why = u.protocol === 'ws:' ? 'plain ws' : ws.deniedBy ? `denied by ${ws.deniedBy}` : 'domain not allowed';
+        if (settings.webSocketFilter === 'report') {
+          reportWebSocket(svc, u, ws);
+          auditRequest(svc, details, 'allow', `webSocketFilter report (${why})`);
+          return cb({ cancel: false });
+        }
+        if (learnBlocked(svc, details, ws)) {
+          auditRequest(svc, details, 'allow', `learn mode (${why})`);
+          return cb({ cancel: false });
+        }
+        logBlockedUrl(details.url, why);
+        recordBlocked(svc, details, ws.deniedBy);
+        auditRequest(svc, details, 'block', why);
+        return cb({ cancel: true });
+      }
+
+      // Allow non-http(s) internal schemes (devtools, file, blob, ws, ...)
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        if (u.protocol === 'ws:' || u.protocol === 'wss:') auditRequest(svc, details, 'allow', 'webSocketFilter off');
+        return cb({ cancel: false });
+      }
+
+      const verdict = firewallCheck(svc, details.url, details.resourceType);
+      const why = u.protocol === 'http:' ? 'plain http' : verdict.deniedBy ? `denied by ${verdict.deniedBy}` : 'domain not allowed';
+      if (isImageTier(svc, details, verdict)) {
+        auditRequest(svc, details, 'allow', `openImages (${why})`);
+        return cb({ cancel: false });
+      }
+      if (!verdict.allowed && learnBlocked(svc, details, verdict)) {
+        auditRequest(svc, details, 'allow', `learn mode (${why})`);
+        return cb({ cancel: false });
+      }
+      if (!verdict.allowed) {
+        logBlockedUrl(details.url, verdict.deniedBy ? `denied by ${verdict.deniedBy}` : 'domain not allowed');
+        recordBlocked(svc, details, verdict.deniedBy);
+        auditRequest(svc, details, 'block', why);
+        if (details.resourceType === 'mainFrame' || details.resourceType === 'subFrame') {
+          notifyBlockedDocument(svc, details, verdict);
+        }
+        return cb({ cancel: true });
+      }
+
+      auditRequest(svc, details, 'allow', 'allowedHosts');
+      return cb({ cancel: false });
+    } catch {
+      logBlockedUrl(details.url, 'invalid url');
+      auditRequest(svc, details, 'block', 'invalid url');
+      return cb({ cancel: true });
+    }
+  });
+}
+
+// ---------------- Outgoing header scrubbing (once per session) ----------------
+// The profile's requestHeaders rules (headers.js) applied to every request the
+// firewall lets through. Logged like [blocked], once per host and change.
+const scrubbedSessions = new WeakSet();
+const headerChangesLogged = new Set();
+
+function logHeaderChanges(detailsUrl, changes) {
+  try {
+    if (!process?.stdout?.isTTY) return;
+    const u = new URL(detailsUrl);
+    const key = `${u.host}|${changes.join()}`;
+    if (headerChangesLogged.has(key)) return;
+    headerChangesLogged.add(key);
+    console.log(`[headers] ${u.origin}${u.pathname} (${changes.join('; ')})`);
+  } catch {}
+}
+
+function installHeaderScrubbingOnce(svc) {
+  const ses = serviceSession(svc);
+  if (scrubbedSessions.has(ses)) return;
+  scrubbedSessions.add(ses);
+
+  ses.webRequest.onBeforeSendHeaders({ urls: ['*://*/*'] }, (details, cb) => {
+    try {
+      const anonymous = isImageTier(svc, details);
+      const { headers, changes } = scrubHeaders(svc.requestHeaders, details.url, details.requestHeaders, anonymous);
+      if (changes.length) logHeaderChanges(details.url, changes);
+      cb({ requestHeaders: headers });
+    } catch {
+      cb({});
+    }
+  });
+}
+
+// ---------------- Cookie policy (once per session) ----------------
+// The firewall lets a service's allowedHosts through, but only its trustedHosts
+// are the service itself; the rest (challenges.cloudflare.com,
+// cloudflareinsights.com) are there to serve it, and have no business keeping
+// state in its session. With blockUntrustedCookies (settings.js, on by default)
+// Set-Cookie is stripped from their responses. Cookies a script writes and
+// other storage never pass through here: clearUntrustedDataOnQuit sweeps those
+// (and any cookie from before the setting) out of every service session on
+// quit, and logs what went.
+const cookiePolicySessions = new WeakSet();
+const cookieBlocksLogged = new Set();
+const untrustedOrigins = new Map(); // service -> Set of origins that answered it this run
+const UNTRUSTED_STORAGE_TYPES = ['backgroundFetch', 'cache', 'fileSystems', 'indexedDB', 'localStorage', 'serviceWorkers', 'webSQL'];
+let untrustedDataCleared = false;
+
+// By host, whatever the scheme: a wss handshake is judged like its https page.
+function isTrustedHost(svc, host) {
+  return isTrustedUrl(svc, `https://${host}/`);
+}
+
+function logCookieBlock(svc, host) {
+  const key = `${svc.id || ''}|${host}`;
+  if (cookieBlocksLogged.has(key)) return;
+  cookieBlocksLogged.add(key);
+  logIfTerminal(`[cookies] ${svcTag(svc)}refused Set-Cookie from ${host} (not a trusted host)`);
+}
+
+function installCookiePolicyOnce(svc) {
+  const ses = serviceSession(svc);
+  if (cookiePolicySessions.has(ses)) return;
+  cookiePolicySessions.add(ses);
+
+  ses.webRequest.onHeadersReceived({ urls: ['*://*/*'] }, (details, cb) => {
+    try {
+      const u = new URL(details.url);
+      const host = u.hostname.toLowerCase();
+      // The image tier's pictures never set cookies, whatever the setting,
+      // and leave no storage worth sweeping.
+      const anonymous = isImageTier(svc, details);
+      if (!anonymous && isTrustedHost(svc, host)) return cb({});
+      if (!anonymous) {
+        if (!untrustedOrigins.has(svc)) untrustedOrigins.set(svc, new Set());
+        untrustedOrigins.get(svc).add(`https://${u.host}`);
+      }
+
+      const headers = details.responseHeaders || {};
+      const names = Object.keys(headers).filter((n) => n.toLowerCase() === 'set-cookie');
+      if ((!settings.blockUntrustedCookies && !anonymous) || !names.length) return cb({});
+      const next = { ...headers };
+      for (const n of names) delete next[n];
+      logCookieBlock(svc, host);
+      return cb({ responseHeaders: next });
+    } catch {
+      return cb({});
+    }
+  });
+}
+
+// One service's sweep: every cookie whose domain is not trusted, and the
+// storage of every untrusted origin that answered this run or left a cookie.
+// Returns { cookies: Map(host -> count), origins: [origin] }.
+async function clearUntrustedData(svc) {
+  const ses = serviceSession(svc);
+  const cookies = new Map();
+  const origins = new Set(untrustedOrigins.get(svc) || []);
+  for (const c of await ses.cookies.get({})) {
+    const host = (c.domain || '').replace(/^\./, '').toLowerCase();
+    if (!host || isTrustedHost(svc, host)) continue;
+    try {
+      await ses.cookies.remove(`${c.secure ? 'https' : 'http'}://${host}${c.path || '/'}`, c.name);
+      cookies.set(host, (cookies.get(host) || 0) + 1);
+      origins.add(`https://${host}`);
+    } catch {}
+  }
+  if (origins.size) await ses.clearData({ dataTypes: UNTRUSTED_STORAGE_TYPES, origins: [...origins] });
+  await ses.cookies.flushStore();
+  return { cookies, origins: [...origins] };
+}
+
+// The summary is a plain console line, not terminal-only: it is asked for.
+async function clearUntrustedDataEverywhere() {
+  for (const svc of SERVICES) {
+    if (!svc.ses) continue;
+    try {
+      const { cookies, origins } = await clearUntrustedData(svc);
+      const total = [...cookies.values()].reduce((n, c) => n + c, 0);
+      const byHost = [...cookies.entries()].map(([host, n]) => `${host} ${n}`).join(', ');
+      console.log(`[cookies] ${svcTag(svc)}cleared on quit: ${total} cookie(s)${total ? ` (${byHost})` : ''}; `
+        + `storage for ${origins.length ? origins.join(', ') : 'no origins'}`);
+    } catch (err) {
+      console.error(`[cookies] ${svcTag(svc)}could not clear untrusted data: ${err.message}`);
+    }
+  }
+}
+
+// ---------------- Certificate pinning (once per session) ----------------
+// The profile's certificatePins (pins.js), checked for trusted hosts only
+// after Chromium's own verification has passed: a pinned host whose verified
+// chain has none of its keys is logged and notified once per host, and in
+// "enforce" mode refused. Everything else keeps Chromium's verdict (-3). The
+// proc is the session's only one, so it must stay cheap for unpinned hosts.
+const pinnedSessions = new WeakSet();
+const pinFailuresNotified = new Set();
+
+// Leaf first, as far up as Chromium verified it.
+function certificateChain(cert) {
+  const pems = [];
+  for (let c = cert; c && pems.length < 10; c = c.issuerCert) {
+    if (c.data) pems.push(c.data);
+    if (c.issuerCert === c) break;
+  }
+  return pems;
+}
+
+function pinFailed(svc, hostname, enforced, seen) {
+  console.error(`[pins] ${svcTag(svc)}${hostname}: certificate matches none of its pins `
+    + `(${enforced ? 'connection refused' : 'report only'}); chain: ${seen.join(', ') || 'unreadable'}`);
+  const key = `${svc.id || ''}|${hostname}`;
+  if (pinFailuresNotified.has(key)) return;
+  pinFailuresNotified.add(key);
+  showNotif(
+    enforced ? `Connection to ${hostname} blocked` : `Unexpected certificate for ${hostname}`,
+    `The server's certificate does not match the keys this app expects. Something on your network may be intercepting the connection.${enforced ? '' : ' The connection was allowed (report-only pinning).'}`
+  );
+}
+
+function installCertificatePinningOnce(svc) {
+  if (!svc.certificatePins) return;
+  const ses = serviceSession(svc);
+  if (pinnedSessions.has(ses)) return;
+  pinnedSessions.add(ses);
+
+  ses.setCertificateVerifyProc((request, cb) => {
+    try {
+      if (request.errorCode !== 0) return cb(-3);
+      const entry = pinsFor(svc.certificatePins, request.hostname);
+      if (!entry || !isTrustedHost(svc, request.hostname)) return cb(-3);
+      const { ok, seen } = checkPins(entry, certificateChain(request.validatedCertificate || request.certificate));
+      if (ok) return cb(-3);
+      const enforced = svc.certificatePins.mode === 'enforce';
+      pinFailed(svc, request.hostname, enforced, seen);
+      return cb(enforced ? -2 : -3);
+    } catch {
+      return cb(-3);
+    }
+  });
+}
+
+// ---------------- Traffic accounting (once per session) ----------------
+// Requests, declared bytes and errors per host (traffic.js), counted as each
+// request ends: onCompleted / onErrorOccurred, the session's only listeners
+// for either, so they also close HAR entries. An HTTP error status counts as
+// an error. Requests the firewall
+// cancelled never reached their host (Firewall activity has those), and an
+// aborted one is the page moving on, not the host failing. The day's counts
+// are saved now and then and on quit (never in an ephemeral run, which only
+// counts in memory); the traffic window shows them.
+const TRAFFIC_PATH = path.join(app.getPath('userData'), TRAFFIC_FILE);
+const TRAFFIC_SAVE_MS = 60 * 1000;
+const TRAFFIC_IGNORED_ERRORS = new Set(['net::ERR_BLOCKED_BY_CLIENT', 'net::ERR_ABORTED']);
+const trafficSessions = new WeakSet();
+const traffic = createTraffic();
+const trafficLoadProblem = loadTrafficDays(TRAFFIC_PATH, traffic);
+if (trafficLoadProblem) console.error(`[traffic] ${trafficLoadProblem}`);
+let trafficSaveTimer = null;
+
+function saveTraffic() {
+  clearTimeout(trafficSaveTimer);
+  trafficSaveTimer = null;
+  if (EPHEMERAL) return;
+  try {
+    saveTrafficDays(TRAFFIC_PATH, traffic);
+  } catch (err) {
+    console.error(`[traffic] could not write ${TRAFFIC_PATH}: ${err.message}`);
+  }
+}
+
+function countTraffic(svc, details, result) {
+  let host;
+  try {
+    host = new URL(details.url).hostname.toLowerCase();
+  } catch {
+    return;
+  }
+  countRequest(traffic, svc.id ? `${svc.id}: ${host}` : host, result);
+  trafficChanged();
+  if (!trafficSaveTimer) {
+    trafficSaveTimer = setTimeout(saveTraffic, TRAFFIC_SAVE_MS);
+    trafficSaveTimer.unref?.();
+  }
+}
+
+function installTrafficAccountingOnce(svc) {
+  const ses = serviceSession(svc);
+  if (trafficSessions.has(ses)) return;
+  trafficSessions.add(ses);
+
+  ses.webRequest.onCompleted({ urls: ['*://*/*'] }, (details) => {
+    try {
+      if (harCapture) harCapture.finished(harKey(svc, details), details);
+      countTraffic(svc, details, {
+        bytes: details.fromCache ? 0 : responseBytes(details.responseHeaders),
+        error: details.statusCode >= 400,
+      });
+    } catch {}
+  });
+  ses.webRequest.onErrorOccurred({ urls: ['*://*/*'] }, (details) => {
+    try {
+      if (harCapture) harCapture.finished(harKey(svc, details), details, details.error);
+      if (!TRAFFIC_IGNORED_ERRORS.has(details.error)) countTraffic(svc, details, { bytes: 0, error: true });
+    } catch {}
+  });
+}
+
+// ---------------- Proxy ----------------
+// The proxy settings (settings.js) on every service session, set before the
+// first page loads and again whenever they change: "system" (the default) is
+// Chromium's reading of the desktop and environment settings, "fixed" one
+// http(s) or SOCKS server for everything, "pac" an auto-config script. The
+// firewall is unaffected - onBeforeRequest judges each request before the
+// proxy ever sees it. (The PAC file itself is fetched by the network stack,
+// outside webRequest, so its host need not be allowed.) A page the proxy
+// keeps from loading gets proxy-error.html instead of a blank view.
+const PROXY_ERROR = /^ERR_(PROXY_|SOCKS_|TUNNEL_CONNECTION_FAILED$|MANDATORY_PROXY_CONFIGURATION_FAILED$|PAC_)/;
+
+// A policy can lock the mode without the address; that is the system proxy too.
+function proxyConfig(s) {
+  if (s.proxyMode === 'fixed' && s.proxyServer) return { mode: 'fixed_servers', proxyRules: s.proxyServer };
+  if (s.proxyMode === 'pac' && s.proxyPacUrl) return { mode: 'pac_script', pacScript: s.proxyPacUrl };
+  return { mode: 'system' };
+}
+
+function describeProxy(config) {
+  if (config.mode === 'fixed_servers') return config.proxyRules;
+  if (config.mode === 'pac_script') return `PAC script ${config.pacScript}`;
+  return 'the system proxy settings';
+}
+
+// `reconnect` drops pooled connections, which would otherwise keep using the
+// previous proxy.
+async function applyProxy(svc, reconnect = false) {
+  const config = proxyConfig(settings);
+  try {
+    await serviceSession(svc).setProxy(config);
+    if (reconnect) await serviceSession(svc).closeAllConnections();
+    console.log(`[proxy] ${svcTag(svc)}using ${describeProxy(config)}`);
+  } catch (err) {
+    console.error(`[proxy] ${svcTag(svc)}could not set ${describeProxy(config)}: ${err.message}`);
+  }
+}
+
+function showProxyError(contents, url, error) {
+  let retry = '';
+  try { retry = new URL(url).protocol === 'https:' ? url : ''; } catch {}
+  contents.loadFile(path.join(__dirname, 'proxy-error.html'), {
+    query: { error, proxy: describeProxy(proxyConfig(settings)), url: retry },
+  }).catch(() => {});
+}
+
+// In a suite (or an ephemeral run) the services live in their own partitions,
+// leaving the default session to the window shell and the local bars (file:
+// pages with a default-src 'none' CSP). Nothing there has any business on the
+// network.
+function installShellLockdownOnce() {
+  const ses = session.defaultSession;
+  if (lockedDownSessions.has(ses)) return;
+  lockedDownSessions.add(ses);
+
+  ses.webRequest.onBeforeRequest({ urls: ['*://*/*'] }, (details, cb) => {
+    try {
+      const u = new URL(details.url);
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') return cb({ cancel: false });
+    } catch {}
+    logBlockedUrl(details.url, 'window shell');
+    auditRequest(null, details, 'block', 'window shell');
+    return cb({ cancel: true });
+  });
+}
+
+// ---------------- Firewall activity ----------------
+// What the firewall cancelled this run, one entry per service, host and
+// resource type, for the firewall window (firewall.html). In memory only: it
+// answers "why is this page half-loaded?", it is not a log. The oldest entries
+// make way past FIREWALL_ACTIVITY_MAX, so a page hammering a beacon cannot grow
+// it without bound.
+const FIREWALL_ACTIVITY_MAX = 500;
+const firewallActivity = new Map(); // key -> entry, least recently blocked first
+
+// The page a request came from, without its query (chat ids, tokens).
+function requestInitiator(details) {
+  let page = '';
+  try { page = details.webContents && !details.webContents.isDestroyed() ? details.webContents.getURL() : ''; } catch {}
+  try {
+    const u = new URL(page || details.referrer);
+    return `${u.origin}${u.pathname}`;
+  } catch {
+    return '';
+  }
+}
+
+function recordBlocked(svc, details, deniedBy) {
+  let host = String(details.url);
+  let scheme = '';
+  try {
+    const u = new URL(details.url);
+    // A loopback origin is told apart by its port, so that is what is shown.
+    host = isLoopbackHost(u.hostname) ? u.host : u.hostname.toLowerCase();
+    scheme = u.protocol.slice(0, -1);
+  } catch {}
+  const resourceType = details.resourceType || 'other';
+  const key = `${svc.id || ''}|${scheme}|${host}|${resourceType}`;
+  let entry = firewallActivity.get(key);
+  if (entry) {
+    firewallActivity.delete(key); // re-inserted below as the most recent
+  } else {
+    if (firewallActivity.size >= FIREWALL_ACTIVITY_MAX) firewallActivity.delete(firewallActivity.keys().next().value);
+    entry = { service: svc.id, host, scheme, resourceType, initiator: '', count: 0, last: 0, allowed: null, deniedBy: null };
+  }
+  firewallActivity.set(key, entry);
+  entry.count++;
+  entry.last = Date.now();
+  entry.initiator = requestInitiator(details) || entry.initiator;
+  entry.deniedBy = deniedBy || null;
+  firewallChanged();
+}
+
+// ---------------- Firewall learn mode ----------------
+// `--firewall-learn` (or `--firewall-learn=block`) is a maintainer's tool for
+// when a site starts depending on a new host. Every request the firewall would
+// cancel is recorded with its resource type and first-party page; in the
+// default `allow` mode https requests are then let through anyway (deny rules
+// and plain http still are not), so the site works while it is observed.
+// Refused permission requests are recorded too, but never granted. The report
+// (see learn.js) goes to userData/firewall-learn-report.txt a few seconds after
+// each new finding and on quit.
+const FIREWALL_LEARN = (() => {
+  const arg = process.argv.find((a) => a === '--firewall-learn' || a.startsWith('--firewall-learn='));
+  if (!arg) return null;
+  const mode = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : 'allow';
+  if (mode === 'allow' || mode === 'block') return mode;
+  console.error(`[learn] unknown mode ${JSON.stringify(mode)} (allow or block) - using block.`);
+  return 'block';
+})();
+const LEARN_REPORT_PATH = path.join(app.getPath('userData'), LEARN_REPORT_FILE);
+const learnRecords = new Map(); // service -> record (see learn.js)
+let learnReportTimer = null;
+
+if (FIREWALL_LEARN) console.log(`[learn] firewall learn mode (${FIREWALL_LEARN}); report: ${LEARN_REPORT_PATH}`);
+
+function learnRecordFor(svc) {
+  if (!learnRecords.has(svc)) learnRecords.set(svc, createLearnRecord());
+  return learnRecords.get(svc);
+}
+
+// Record a request the firewall did not allow; true when learn mode lets it
+// through anyway. Never under a policy pin: a command-line flag must not
+// reopen a firewall the administrator closed, so a pinned service only records.
+function learnBlocked(svc, details, verdict) {
+  if (!FIREWALL_LEARN) return false;
+  let host = String(details.url);
+  let scheme = '';
+  try {
+    const u = new URL(details.url);
+    host = u.hostname.toLowerCase();
+    // wss is held to the https rules (strict webSocketFilter), so it learns as https.
+    scheme = u.protocol === 'wss:' ? 'https' : u.protocol.slice(0, -1);
+  } catch {}
+  let initiator = '';
+  try { initiator = new URL(requestInitiator(details)).origin; } catch {}
+  learnRequest(learnRecordFor(svc), { host, scheme, resourceType: details.resourceType, initiator, deniedBy: verdict.deniedBy });
+  scheduleLearnReport();
+  const through = FIREWALL_LEARN === 'allow' && scheme === 'https' && !verdict.deniedBy && !pinnedHosts(POLICY, svc.id);
+  if (through) logIfTerminal(`[learn] ${svcTag(svc)}let through ${details.resourceType} ${host}`);
+  return through;
+}
+
+function learnRefusedPermission(svc, origin, permission) {
+  if (!FIREWALL_LEARN) return;
+  try {
+    learnPermission(learnRecordFor(svc), new URL(origin).hostname.toLowerCase(), permission);
+    scheduleLearnReport();
+  } catch {}
+}
+
+function scheduleLearnReport() {
+  if (learnReportTimer) return;
+  learnReportTimer = setTimeout(writeLearnReport, 3000);
+}
+
+function writeLearnReport() {
+  clearTimeout(learnReportTimer);
+  learnReportTimer = null;
+  if (!FIREWALL_LEARN) return;
+  const services = SERVICES.map((svc) => {
+    const profileFile = path.join(svc.profileDir, 'profile.json');
+    let profileText = '';
+    try { profileText = fs.readFileSync(profileFile, 'utf8'); } catch {}
+    return { name: svc.id || svc.title, profileFile, profileText, record: learnRecordFor(svc) };
+  });
+  try {
+    const text = learnReport({ appTitle: APP_TITLE, mode: FIREWALL_LEARN, when: new Date(), services });
+    fs.mkdirSync(path.dirname(LEARN_REPORT_PATH), { recursive: true });
+    fs.writeFileSync(LEARN_REPORT_PATH, text, 'utf8');
+  } catch (err) {
+    console.error(`[learn] could not write ${LEARN_REPORT_PATH}: ${err.message}`);
+  }
+}
+
+function learnNotice() {
+  return {
+    text: FIREWALL_LEARN === 'allow'
+      ? 'Firewall learn mode: requests outside the allowed hosts are let through and recorded.'
+      : 'Firewall learn mode: blocked requests are recorded.',
+    actions: [{ id: 'report', label: 'Show report' }],
+    onAction: (id) => {
+      if (id !== 'report') return;
+      writeLearnReport();
+      try { shell.showItemInFolder(LEARN_REPORT_PATH); } catch {}
+    },
+  };
+}
+
+// Let `host` (and its subdomains) through svc's firewall from now on, and with
+// `permanent` from every later start too, through the allowedHosts.add list of
+// its hosts.json. Deny rules still win over it. Returns a problem string, or null.
+function allowHost(svc, host, permanent) {
+  if (!isHostEntry(host)) return `${host} is not a hostname that can be allowed.`;
+  if (pinnedHosts(POLICY, svc.id)) return `${svcTag(svc)}the firewall is pinned by your administrator.`;
+  if (permanent) {
+    const problem = addAllowedHostToFile(path.join(svc.dataDir, 'hosts.json'), host);
+    if (problem) return problem;
+  }
+  if (!svc.allowedHosts.includes(host)) svc.allowedHosts = [...svc.allowedHosts, host];
+  for (const entry of firewallActivity.values()) {
+    if (entry.service === svc.id && !entry.deniedBy && hostMatches(`https://${entry.host}/`, [host])) {
+      entry.allowed = permanent ? 'permanent' : (entry.allowed || 'session');
+    }
+  }
+  console.log(`[firewall] ${svcTag(svc)}allowed ${host}${permanent ? ' (saved to hosts.json)' : ' for this session'}`);
+  firewallChanged();
+  return null;
+}
+
+// Edit hosts.json in place: add to allowedHosts.add (and out of .remove, which
+// would otherwise still apply first). A file that is not valid JSON is left
+// alone - rewriting it would throw away the user's other edits.
+function addAllowedHostToFile(file, host) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') return `${file} could not be read (${err.message}) - fix it first.`;
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return `${file} is not a JSON object - fix it first.`;
+  const spec = overrides.allowedHosts == null ? {} : overrides.allowedHosts;
+  if (typeof spec !== 'object' || Array.isArray(spec)) return `${file}: allowedHosts is not an object - fix it first.`;
+  const add = Array.isArray(spec.add) ? spec.add : [];
+  const remove = Array.isArray(spec.remove) ? spec.remove : [];
+  overrides.allowedHosts = {
+    ...spec,
+    add: add.includes(host) ? add : [...add, host],
+    ...(remove.length ? { remove: remove.filter((h) => h !== host) } : {}),
+  };
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(overrides, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    return `could not save ${file}: ${err.message}`;
+  }
+  return null;
+}
+
+// ---------------- window.prompt() support ----------------
+// Electron deliberately does not implement window.prompt() (it throws
+// "prompt() is not supported." and returns null). The site relies on it (e.g.
+// "Enter new filename:"), so we provide our own implementation.
+//
+// prompt() must return SYNCHRONOUSLY, but the site's strict CSP
+// (connect-src 'self', script-src 'self') rules out the usual sync tricks
+// (sync-XHR to a custom scheme, SharedArrayBuffer/Atomics needs cross-origin
+// isolation). Instead:
+//   1. preload.js exposes a synchronous bridge (window.__llPrompt.run) to the
+//      page's main world.
+//   2. run() opens a native modal window (ll-prompt-open) and then blocks the
+//      calling renderer by polling the main process (ll-prompt-poll) until the
+//      user answers. Only the calling renderer blocks — the main process event
+//      loop stays free, so the modal window renders and accepts input normally.
+//   3. window.prompt is reassigned to call the bridge. executeJavaScript injects
+//      this into the main world, bypassing the page's script-src CSP.
+// The modal collects the value and reports it back via ll-prompt-done.
+
+const promptPending = new Map(); // token -> { done, value, win }
+let promptSeq = 0;
+
+function openPromptModal(parent, message, def) {
+  const token = `llp_${Date.now()}_${++promptSeq}`;
+  const entry = { done: false, value: null, win: null };
+  promptPending.set(token, entry);
+
+  let modal;
+  try {
+    modal = new BrowserWindow({
+      width: 460,
+      height: 200,
+      parent: parent && !parent.isDestroyed() ? parent : undefined,
+      modal: !!(parent && !parent.isDestroyed()),
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      title: '',
+      autoHideMenuBar: true,
+      useContentSize: true,
+      backgroundColor: '#1b1b22',
+      icon: APP_ICON,
+      webPreferences: {
+        preload: path.join(__dirname, 'prompt-preload.js'),
+        contextIsolation: true,
+        sandbox: false,
+        nodeIntegration: false,
+      },
+    });
+  } catch {
+    promptPending.delete(token);
+    return null;
+  }
+
+  entry.win = modal;
+  modal.setMenu(null);
+  modal.loadFile(path.join(__dirname, 'prompt.html'), {
+    query: { token, message: String(message ?? ''), def: String(def ?? '') },
+  });
+
+  // Closing the window without answering counts as cancel (returns null).
+  modal.once('closed', () => {
+    const e = promptPending.get(token);
+    if (e && !e.done) { e.done = true; e.value = null; }
+  });
+
+  // Safety net: never leave the page blocked forever.
+  setTimeout(() => {
+    const e = promptPending.get(token);
+    if (e && !e.done) {
+      e.done = true;
+      e.value = null;
+      try { if (e.win && !e.win.isDestroyed()) e.win.close(); } catch {}
+    }
+  }, 10 * 60 * 1000);
+
+  return token;
+}
+
+// fromWebContents() returns undefined for the page's WebContentsView contents,
+// so resolve the host window (the main window) via ownerWindowFor instead.
+ipcMain.on('ll-prompt-open', (event, payload) => {
+  event.returnValue = openPromptModal(ownerWindowFor(event.sender), payload?.message, payload?.def);
+});
+
+ipcMain.on('ll-prompt-poll', (event, token) => {
+  const entry = promptPending.get(token);
+  if (!entry) { event.returnValue = { done: true, value: null }; return; }
+  if (entry.done) {
+    promptPending.delete(token);
+    try { if (entry.win && !entry.win.isDestroyed()) entry.win.close(); } catch {}
+    event.returnValue = { done: true, value: entry.value };
+  } else {
+    event.returnValue = { done: false };
+  }
+});
+
+ipcMain.on('ll-prompt-done', (_event, payload) => {
+  const entry = promptPending.get(payload?.token);
+  if (!entry || entry.done) return;
+  entry.value = payload?.value == null ? null : String(payload.value);
+  entry.done = true;
+  try { if (entry.win && !entry.win.isDestroyed()) entry.win.close(); } catch {}
+});
+
+// window.confirm() returns true only for the affirmative button. Buttons render
+// left-to-right in array order on Linux, so 'OK' is last to keep the affirmative
+// on the right (GNOME/GTK convention).
+ipcMain.on('ll-confirm', (event, payload) => {
+  const parent = ownerWindowFor(event.sender);
+  let result = false;
+  try {
+    const choice = dialog.showMessageBoxSync(
+      parent && !parent.isDestroyed() ? parent : undefined,
+      {
+        type: 'question',
+        buttons: ['Cancel', 'OK'],
+        defaultId: 1,
+        cancelId: 0,
+        noLink: true,
+        message: String(payload?.message ?? ''),
+      }
+    );
+    result = choice === 1;
+  } catch {}
+  event.returnValue = result;
+});
+
+// Reinstall window.prompt / window.confirm in the page's main world.
+// executeJavaScript runs in the main world and bypasses the page's script-src
+// CSP, so the reassignment sticks even though the site forbids inline scripts.
+const PROMPT_INSTALL = `(function(){
+  if (window.__llPrompt && typeof window.__llPrompt.run === 'function') {
+    window.prompt = function(message, def){
+      try {
+        return window.__llPrompt.run(
+          message == null ? '' : String(message),
+          def == null ? '' : String(def)
+        );
+      } catch (e) { return null; }
+    };
+  }
+  if (window.__llConfirm && typeof window.__llConfirm.run === 'function') {
+    window.confirm = function(message){
+      try {
+        return window.__llConfirm.run(message == null ? '' : String(message));
+      } catch (e) { return false; }
+    };
+  }
+})();`;
+
+function installPromptOverride(contents) {
+  if (!contents || contents.isDestroyed()) return;
+  const inject = () => {
+    if (contents.isDestroyed()) return;
+    contents.executeJavaScript(PROMPT_INSTALL, true).catch(() => {});
+  };
+  contents.on('dom-ready', inject);
+  contents.on('did-finish-load', inject);
+}
+
+// ---------------- Userscripts ----------------
+// The service's enabled *.user.js files (see userscripts.js), run in the MAIN
+// world at their @run-at event on every page whose URL matches an @match -
+// site pages and pop-ups alike. Main world for the same reason as
+// PROMPT_INSTALL: it bypasses the site's script-src CSP and sees the page's
+// own globals. A script that throws is logged and the rest still run.
+function installUserscripts(svc, contents) {
+  if (!contents || contents.isDestroyed()) return;
+  const enabled = svc.userscripts.filter((us) => us.enabled);
+  if (!enabled.length) return;
+
+  const run = (runAt) => {
+    if (contents.isDestroyed()) return;
+    const url = contents.getURL();
+    for (const us of enabled) {
+      if (us.runAt !== runAt || !userscriptMatches(us, url)) continue;
+      contents.executeJavaScript(us.code, true).catch((err) => {
+        console.error(`[userscript] ${svcTag(svc)}${us.file} failed on ${url}: ${err?.message || err}`);
+      });
+    }
+  };
+  contents.on('dom-ready', () => run('dom-ready'));
+  contents.on('did-finish-load', () => run('did-finish-load'));
+}
+
+// ---------------- User styles ----------------
+// The service's styles/*.css (see userstyles.js), inserted into every matching
+// document of its pages and pop-ups. insertCSS only lasts as long as the
+// document, so styles go in again on each dom-ready; the returned keys let a
+// file change or Ctrl+Shift+U swap them out without a reload.
+const styledContents = new Map(); // webContents -> { svc, keys, gen }
+let userStylesOff = false;        // Ctrl+Shift+U; not persisted
+
+function installUserStyles(svc, contents) {
+  if (!contents || contents.isDestroyed() || SAFE_MODE) return;
+  watchUserStylesOnce(svc);
+  const entry = { svc, keys: [], gen: 0 };
+  styledContents.set(contents, entry);
+  contents.on('dom-ready', () => {
+    entry.keys = []; // the previous document took its sheets with it
+    applyUserStyles(contents);
+  });
+  contents.once('destroyed', () => styledContents.delete(contents));
+}
+
+function applyUserStyles(contents) {
+  const entry = styledContents.get(contents);
+  if (!entry || contents.isDestroyed()) return;
+  for (const key of entry.keys) contents.removeInsertedCSS(key).catch(() => {});
+  entry.keys = [];
+  // A newer apply (rapid saves, a quick toggle) supersedes this one; sheets it
+  // inserts after that are taken straight back out.
+  const gen = ++entry.gen;
+  if (userStylesOff) return;
+
+  const url = contents.getURL();
+  for (const st of entry.svc.userstyles) {
+    if (!userStyleMatches(st, url)) continue;
+    contents.insertCSS(st.css).then((key) => {
+      if (contents.isDestroyed()) return;
+      if (gen === entry.gen) entry.keys.push(key);
+      else contents.removeInsertedCSS(key).catch(() => {});
+    }).catch((err) => {
+      console.error(`[userstyle] ${svcTag(entry.svc)}${st.file} failed on ${url}: ${err?.message || err}`);
+    });
+  }
+}
+
+function applyUserStylesEverywhere(svc = null) {
+  for (const [contents, entry] of styledContents) {
+    if (!svc || entry.svc === svc) applyUserStyles(contents);
+  }
+}
+
+// Hot reload: re-read the directory shortly after the last change (editors
+// write a file in several steps) and re-apply to the service's live documents.
+// The directory is created up front so there is something to watch.
+function watchUserStylesOnce(svc) {
+  if (svc.stylesWatcher !== undefined) return;
+  svc.stylesWatcher = null;
+  const dir = path.join(svc.dataDir, USERSTYLE_DIR);
+  let timer = null;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    svc.stylesWatcher = fs.watch(dir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        svc.userstyles = loadServiceUserStyles(svc.dataDir);
+        logIfTerminal(`[userstyle] ${svcTag(svc)}reloaded: ${svc.userstyles.map((st) => st.file).join(', ') || 'none'}`);
+        applyUserStylesEverywhere(svc);
+      }, 200);
+    });
+    svc.stylesWatcher.on('error', () => {});
+  } catch (err) {
+    console.error(`[userstyle] ${svcTag(svc)}cannot watch ${dir} (${err.message}) - edits apply on next start.`);
+  }
+}
+
+function toggleUserStyles() {
+  userStylesOff = !userStylesOff;
+  logIfTerminal(`[userstyle] user styles ${userStylesOff ? 'off' : 'on'}`);
+  applyUserStylesEverywhere();
+}
+
+// ---------------- Download-bar IPC (downloadbar.html / downloadbar-preload.js) ----
+ipcMain.on('ll-dl-ready', () => { if (pageApi) pageApi.dlPush(); });
+ipcMain.on('ll-dl-dismiss', (_event, id) => { if (pageApi) pageApi.dlDismiss(id); });
+ipcMain.on('ll-dl-open', (_event, id) => { if (pageApi) pageApi.dlOpen(id); });
+
+// ---------------- Service switcher IPC (switcher.html / switcher-preload.js) ----
+ipcMain.on('ll-sw-ready', () => { if (pageApi) pageApi.swPush(); });
+ipcMain.on('ll-sw-select', (_event, id) => { if (pageApi) pageApi.selectService(id); });
+
+// ---------------- Notice bar IPC (noticebar.html / noticebar-preload.js) ----
+ipcMain.on('ll-nb-ready', () => { if (pageApi) pageApi.nbPush(); });
+ipcMain.on('ll-nb-action', (_event, id) => { if (pageApi) pageApi.nbAction(id); });
+
+// The safe-mode notice: why, what is off, and the way back.
+function safeModeNotice() {
+  const why = SAFE_MODE === 'flag' ? 'Started with --safe-mode' : `The last ${FAILED_STARTS} starts failed`;
+  return {
+    text: `Safe mode: ${why}. Off for this run: restored pages, your userscripts and user styles, custom Chromium switches and GPU acceleration.`,
+    actions: [{ id: 'restart', label: 'Restart normally' }],
+    onAction: (id) => { if (id === 'restart') restartNormally(); },
+  };
+}
+
+// ---------------- Settings window (settings.html / settings-preload.js) ----
+// One window at a time, parented to the main window. It is a local page with
+// no session of its own to protect, but only it may write settings: a site
+// page has no ipcRenderer, and the sender check keeps it that way for pop-ups.
+let settingsWin = null;
+
+function settingsState(problems = []) {
+  let languages = [];
+  try { languages = serviceSession(SERVICES[0]).availableSpellCheckerLanguages || []; } catch {}
+  return {
+    settings,
+    defaults: lockSettings(defaultSettings(), POLICY),
+    locked: lockedSettingKeys(POLICY),
+    actions: SHORTCUT_ACTIONS.map(({ id, label }) => ({ id, label })),
+    languages,
+    suite: IS_SUITE,
+    problems,
+  };
+}
+
+function openSettingsWindow() {
+  if (settingsWin && !settingsWin.isDestroyed()) {
+    settingsWin.show();
+    settingsWin.focus();
+    return;
+  }
+  const parent = win && !win.isDestroyed() ? win : undefined;
+  settingsWin = new BrowserWindow({
+    width: 560,
+    height: 640,
+    parent,
+    minimizable: false,
+    fullscreenable: false,
+    title: `${APP_TITLE} Settings`,
+    autoHideMenuBar: true,
+    useContentSize: true,
+    backgroundColor: '#1b1b22',
+    icon: APP_ICON,
+    webPreferences: {
+      preload: path.join(__dirname, 'settings-preload.js'),
+      contextIsolation: true,
+      sandbox: true,
+      nodeIntegration: false,
+      devTools: POLICY.devtools,
+    },
+  });
+  settingsWin.setMenu(null);
+  settingsWin.loadFile(path.join(__dirname, 'settings.html'));
+  settingsWin.once('closed', () => { settingsWin = null; });
+}
+
+const fromSettingsWin = (event) => !!settingsWin && !settingsWin.isDestroyed() && event.sender === settingsWin.webContents;
+
+ipcMain.on('ll-settings-ready', (event) => {
+  if (fromSettingsWin(event)) event.sender.send('ll-settings-state', settingsState());
+});
+
+// The window sends the whole settings object; it is validated like the file
+// (invalid values fall back and are reported back), saved, then applied.
+// Locked keys keep the user's own value in the file, whatever the window sent:
+// the lock is the policy's, and lifting it restores the user's choice.
+ipcMain.on('ll-settings-save', (event, raw) => {
+  if (!fromSettingsWin(event)) return;
+  const { settings: next, problems } = normalizeSettings(raw);
+  for (const key of Object.keys(POLICY.settings)) next[key] = userSettings[key];
+  for (const id of Object.keys(POLICY.shortcuts)) next.shortcuts[id] = userSettings.shortcuts[id];
+  try {
+    saveSettings(SETTINGS_DIR, next);
+  } catch (err) {
+    problems.unshift(`could not save ${SETTINGS_FILE}: ${err.message}`);
+  }
+  applySettings(next);
+  logIfTerminal(`[settings] saved${problems.length ? ` (${problems.length} problem(s))` : ''}`);
+  event.sender.send('ll-settings-state', settingsState(problems));
+});
+
+ipcMain.on('ll-settings-close', (event) => {
+  if (fromSettingsWin(event)) settingsWin.close();
+});
+
+// ---------------- Firewall window (firewall.html / firewall-preload.js) ----
+// The firewall activity above, live. Built like the settings window; only it
+// may allow hosts.
+let firewallWin = null;
+let firewallPushTimer = null;
+
+function firewallState(problem = null) {
+  return {
+    entries: [...firewallActivity.values()].reverse().map((entry) => {
+      const svc = SERVICES.find((s) => s.id === entry.service);
+      const loopback = isLoopbackHost(entry.host.replace(/:\d+$/, ''));
+      return {
+        ...entry,
+        service: svc && svc.id ? svc.title : '',
+        serviceId: entry.service,
+        loopback,
+        // Only https is ever let through, only a pin-free list can grow, and
+        // a deny rule is a decision already made (edit it in hosts.json), as
+        // is a loopback origin (loopbackOrigins there).
+        allowable: (entry.scheme === 'https' || entry.scheme === 'wss') && isHostEntry(entry.host) && !entry.deniedBy
+          && !pinnedHosts(POLICY, entry.service) && !loopback,
+      };
+    }),
+    suite: IS_SUITE,
+    problem,
+  };
+}
+
+// Requests can be blocked in bursts; the window catches up a few times a second.
+function firewallChanged() {
+  if (!firewallWin || firewallWin.isDestroyed() || firewallPushTimer) return;
+  firewallPushTimer = setTimeout(() => {
+    firewallPushTimer = null;
+    if (firewallWin && !firewallWin.isDestroyed()) firewallWin.webContents.send('ll-fw-state', firewallState());
+  }, 250);
+}
+
+function openFirewallWindow() {
+  if (firewallWin && !firewallWin.isDestroyed()) {
+    firewallWin.show();
+    firewallWin.focus();
+    return;
+  }
+  const parent = win && !win.isDestroyed() ? win : undefined;
+  firewallWin = new BrowserWindow({
+    width: 860,
+    height: 520,
+    parent,
+    minimizable: false,
+    fullscreenable: false,
+    title: `${APP_TITLE} Firewall`,
+    autoHideMenuBar: true,
+    useContentSize: true,
+    backgroundColor: '#1b1b22',
+    icon: APP_ICON,
+    webPreferences: {
+      preload: path.join(__dirname, 'firewall-preload.js'),
+      contextIsolation: true,
+      sandbox: true,
+      nodeIntegration: false,
+      devTools: POLICY.devtools,
+    },
+  });
+  firewallWin.setMenu(null);
+  firewallWin.loadFile(path.join(__dirname, 'firewall.html'));
+  firewallWin.once('closed', () => { firewallWin = null; });
+}
+
+const fromFirewallWin = (event) => !!firewallWin && !firewallWin.isDestroyed() && event.sender === firewallWin.webContents;
+
+ipcMain.on('ll-fw-ready', (event) => {
+  if (fromFirewallWin(event)) event.sender.send('ll-fw-state', firewallState());
+});
+
+ipcMain.on('ll-fw-allow', (event, req) => {
+  if (!fromFirewallWin(event) || !req || typeof req.host !== 'string') return;
+  const svc = SERVICES.find((s) => s.id === (req.service ?? null));
+  const problem = svc ? allowHost(svc, req.host.toLowerCase(), !!req.permanent) : 'unknown service.';
+  if (problem) console.error(`[firewall] ${problem}`);
+  event.sender.send('ll-fw-state', firewallState(problem));
+});
+
+ipcMain.on('ll-fw-clear', (event) => {
+  if (!fromFirewallWin(event)) return;
+  firewallActivity.clear();
+  event.sender.send('ll-fw-state', firewallState());
+});
+
+ipcMain.on('ll-fw-close', (event) => {
+  if (fromFirewallWin(event)) firewallWin.close();
+});
+
+// ---------------- Traffic window (traffic.html / traffic-preload.js) ----
+// The traffic accounting above: since launch, today, and the saved days
+// before it. Read-only; built like the firewall window.
+let trafficWin = null;
+let trafficPushTimer = null;
+
+function trafficRows(counters) {
+  return [...counters.entries()].map(([key, c]) => {
+    const cut = IS_SUITE ? key.indexOf(': ') : -1;
+    const svc = cut === -1 ? null : SERVICES.find((s) => s.id === key.slice(0, cut));
+    return {
+      service: cut === -1 ? '' : svc ? svc.title : key.slice(0, cut),
+      host: cut === -1 ? key : key.slice(cut + 2),
+      ...c,
+    };
+  });
+}
+
+function trafficState() {
+  const today = localDay();
+  const days = [...traffic.days.keys()].filter((d) => d !== today).sort().reverse();
+  return {
+    views: [
+      { id: 'launch', label: 'Since launch', rows: trafficRows(traffic.launch) },
+      { id: today, label: `Today (${today})`, rows: trafficRows(traffic.days.get(today) || new Map()) },
+      ...days.map((day) => ({ id: day, label: day, rows: trafficRows(traffic.days.get(day)) })),
+    ],
+    suite: IS_SUITE,
+  };
+}
+
+// Every finished request changes the counts; once a second is plenty to read.
+function trafficChanged() {
+  if (!trafficWin || trafficWin.isDestroyed() || trafficPushTimer) return;
+  trafficPushTimer = setTimeout(() => {
+    trafficPushTimer = null;
+    if (trafficWin && !trafficWin.isDestroyed()) trafficWin.webContents.send('ll-tr-state', trafficState());
+  }, 1000);
+}
+
+function openTrafficWindow() {
+  if (trafficWin && !trafficWin.isDestroyed()) {
+    trafficWin.show();
+    trafficWin.focus();
+    return;
+  }
+  const parent = win && !win.isDestroyed() ? win : undefined;
+  trafficWin = new BrowserWindow({
+    width: 760,
+    height: 520,
+    parent,
+    minimizable: false,
+    fullscreenable: false,
+    title: `${APP_TITLE} Network traffic`,
+    autoHideMenuBar: true,
+    useContentSize: true,
+    backgroundColor: '#1b1b22',
+    icon: APP_ICON,
+    webPreferences: {
+      preload: path.join(__dirname, 'traffic-preload.js'),
+      contextIsolation: true,
+      sandbox: true,
+      nodeIntegration: false,
+      devTools: POLICY.devtools,
+    },
+  });
+  trafficWin.setMenu(null);
+  trafficWin.loadFile(path.join(__dirname, 'traffic.html'));
+  trafficWin.once('closed', () => { trafficWin = null; });
+}
+
+const fromTrafficWin = (event) => !!trafficWin && !trafficWin.isDestroyed() && event.sender === trafficWin.webContents;
+
+ipcMain.on('ll-tr-ready', (event) => {
+  if (fromTrafficWin(event)) event.sender.send('ll-tr-state', trafficState());
+});
+
+ipcMain.on('ll-tr-close', (event) => {
+  if (fromTrafficWin(event)) trafficWin.close();
+});
+
+// ---------------- Minimal UI: no menus ----------------
+function installNoMenuOnce() {
+  if (installNoMenuOnce.done) return;
+  installNoMenuOnce.done = true;
+
+  Menu.setApplicationMenu(null);
+
+  app.on('browser-window-created', (_e, w) => {
+    try {
+      w.setMenu(null);
+      w.setMenuBarVisibility(false);
+      w.setAutoHideMenuBar(true);
+    } catch {}
+  });
+}
+
+// ---------------- Focus helper ----------------
+function focusExistingWindow() {
+  if (!win || win.isDestroyed()) return false;
+
+  try {
+    win.setSkipTaskbar(false);
+    if (!win.isVisible()) win.show();
+  } catch {}
+
+  if (win.isMinimized()) win.restore();
+  win.show();
+  win.focus();
+
+  // Un-hiding from the background does not reliably emit 'focus' on every Wayland
+  // compositor, so the win.on('focus') path above may never run. Push keyboard
+  // focus into the page directly, or arrow keys stay dead until the user clicks.
+  setImmediate(() => {
+    if (!win || win.isDestroyed() || !win.isFocused()) return;
+    const wc = pageApi && pageApi.contents();
+    if (wc) { try { wc.focus(); } catch {} }
+  });
+
+  return true;
+}
+
+// (Loading bar lives in preload.js — see comments there.)
+
+// ---------------- Download helpers ----------------
+// Inside a flatpak the sandbox routes notifications through the desktop portal,
+// which uses the app's desktop-entry icon and IGNORES a file-path icon (libnotify
+// warns "App Icon is not available when using Portal Notifications"). So only set
+// an explicit icon when NOT under the portal (e.g. the .deb build).
+const RUNNING_IN_FLATPAK = (() => {
+  try { return !!process.env.FLATPAK_ID || fs.existsSync('/.flatpak-info'); } catch { return false; }
+})();
+
+function notifOptions(opts) {
+  if (!RUNNING_IN_FLATPAK) opts.icon = APP_ICON;
+  return opts;
+}
+
+function showNotif(title, body) {
+  if (!Notification.isSupported()) return;
+  try {
+    new Notification(notifOptions({ title, body })).show();
+  } catch {}
+}
+
+function moveDL(src, dest, originalFilename) {
+  try {
+    try { fs.renameSync(src, dest); }
+    catch { fs.copyFileSync(src, dest); fs.unlinkSync(src); }
+    logIfTerminal(`[download] saved: ${dest}`);
+    if (!Notification.isSupported()) return;
+    const n = new Notification(notifOptions({
+      title: 'Download Complete',
+      body: path.basename(dest),
+    }));
+    n.once('click', () => { try { shell.showItemInFolder(dest); } catch {} });
+    n.show();
+  } catch {
+    showNotif('Download Failed', originalFilename);
+  }
+}
+
+// The in-app download status lives in a dedicated bottom bar (a WebContentsView,
+// see the download-bar setup in createWindowOnce) — main.js owns the download
+// list and drives it via pageApi.dl* helpers.
+
+// ---------------- Pop-up / window.open support ----------------
+// The site opens pop-ups that contain forms (login, compose, share, OAuth, etc.)
+// via window.open(). These must open as real in-app child windows or their text
+// boxes never appear and their opener/postMessage relationship breaks. Plain
+// external links (target="_blank" to another site) still go to the system
+// browser, matching the rest of the app's external-link policy.
+
+const POPUP_PRELOAD = path.join(__dirname, 'preload.js');
+
+// Parse the windowFeatures string ("width=500,height=600,...") for a sane size,
+// clamped so a misbehaving page can't request an absurd window.
+function parsePopupSize(features) {
+  const opts = { width: 600, height: 720 };
+  if (typeof features === 'string' && features) {
+    for (const part of features.split(',')) {
+      const [k, v] = part.split('=').map((s) => (s || '').trim().toLowerCase());
+      const n = parseInt(v, 10);
+      if (Number.isFinite(n) && n > 0) {
+        if (k === 'width' || k === 'innerwidth')  opts.width  = Math.min(Math.max(n, 200), 1920);
+        if (k === 'height' || k === 'innerheight') opts.height = Math.min(Math.max(n, 150), 1200);
+      }
+    }
+  }
+  return opts;
+}
+
+// Pop-ups stay on their opener's service session (its firewall, cookies and
+// permission handlers).
+function popupWindowOptions(svc, features) {
+  const { width, height } = parsePopupSize(features);
+  return {
+    width,
+    height,
+    show: true,
+    autoHideMenuBar: true,
+    icon: APP_ICON,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      spellcheck: true,
+      devTools: POLICY.devtools,
+      preload: POPUP_PRELOAD,
+      session: serviceSession(svc),
+    },
+  };
+}
+
+// Decide what to do with a window.open()/target=_blank request from one of
+// svc's pages or pop-ups.
+function handleWindowOpen(svc, details) {
+  const { url, disposition } = details;
+
+  // Page-driven blank pop-ups: the site creates an empty window and fills it in
+  // itself (document.write / DOM). These MUST stay in-app or the content (and
+  // any text boxes) never appears.
+  if (!url || url === 'about:blank') {
+    return { action: 'allow', overrideBrowserWindowOptions: popupWindowOptions(svc, details.features) };
+  }
+
+  let u;
+  try { u = new URL(url); } catch { return { action: 'deny' }; }
+  const proto = u.protocol;
+
+  if (proto === 'data:' || proto === 'blob:') {
+    return { action: 'allow', overrideBrowserWindowOptions: popupWindowOptions(svc, details.features) };
+  }
+
+  if (proto === 'http:' || proto === 'https:') {
+    // In-app child window for: the site's own pop-ups and links (home domain,
+    // including plain target="_blank" — with no tab strip these become their own
+    // window) and genuine scripted pop-ups (window.open with features →
+    // 'new-window'), which covers OAuth/login/share dialogs whose text boxes must
+    // work and whose opener relationship must survive. Plain external links open
+    // in the system browser.
+    if (isInAppUrl(svc, url) || disposition === 'new-window') {
+      return { action: 'allow', overrideBrowserWindowOptions: popupWindowOptions(svc, details.features) };
+    }
+    openExternal(url);
+    return { action: 'deny' };
+  }
+
+  // mailto:, tel:, and other registered schemes → hand to the OS.
+  openExternal(url);
+  return { action: 'deny' };
+}
+
+// Every hand-off to the system browser or another OS handler goes through here,
+// so a policy with externalLinks:false closes them all. The user is told once
+// per launch; the log line says which link it was.
+function openExternal(url) {
+  if (!POLICY.externalLinks) {
+    console.log(`[policy] external link not opened: ${url}`);
+    if (!openExternal.warned) {
+      openExternal.warned = true;
+      showNotif('Link not opened', 'Opening links outside the app is turned off by your administrator.');
+    }
+    return;
+  }
+  try { shell.openExternal(url); } catch {}
+}
+
+// Resolve an owner-window argument that may be a BrowserWindow or a getter
+// returning one (the page's owner is looked up lazily: the main window may be
+// recreated, so the getter is read at event time).
+function resolveOwnerWin(ownerWinOrGetter) {
+  const w = typeof ownerWinOrGetter === 'function' ? ownerWinOrGetter() : ownerWinOrGetter;
+  return w && !w.isDestroyed() ? w : null;
+}
+
+// Shared right-click menu (spellcheck suggestions + edit roles + copy link),
+// used by the main window and every pop-up so text boxes get cut/copy/paste.
+// ownerWin may be a BrowserWindow or a getter (for the page view).
+function attachContextMenu(contents, ownerWin) {
+  contents.on('context-menu', (_e, p) => {
+    const template = [];
+
+    const misspelled = typeof p.misspelledWord === 'string' ? p.misspelledWord : '';
+    const suggestions = Array.isArray(p.dictionarySuggestions) ? p.dictionarySuggestions : [];
+
+    if (misspelled && suggestions.length) {
+      suggestions.slice(0, 8).forEach((s) => {
+        template.push({
+          label: s,
+          click: () => {
+            try { if (!contents.isDestroyed()) contents.replaceMisspelling(s); } catch {}
+          },
+        });
+      });
+      template.push({ type: 'separator' });
+      // The custom dictionary is a file on disk, whatever the session.
+      if (!EPHEMERAL) {
+        template.push({
+          label: 'Add to Dictionary',
+          click: () => {
+            try { contents.session.addWordToSpellCheckerDictionary(misspelled); } catch {}
+          },
+        });
+        template.push({ type: 'separator' });
+      }
+    }
+
+    template.push(
+      { label: 'Cut', role: 'cut', enabled: p.isEditable && p.editFlags.canCut },
+      { label: 'Copy', role: 'copy', enabled: !!p.selectionText?.length },
+      { label: 'Paste', role: 'paste', enabled: p.isEditable && p.editFlags.canPaste },
+      { label: 'Select All', role: 'selectAll' }
+    );
+
+    if (p.linkURL) {
+      template.push(
+        { type: 'separator' },
+        { label: 'Copy Link Address', click: () => clipboard.writeText(p.linkURL) }
+      );
+    }
+
+    // The app has no menu bar, so this (and the settings shortcut) is the way in.
+    template.push(
+      { type: 'separator' },
+      { label: 'Firewall activity…', click: () => openFirewallWindow() },
+      { label: 'Network traffic…', click: () => openTrafficWindow() },
+      { label: 'Settings…', click: () => openSettingsWindow() },
+    );
+
+    // No explicit x/y: a WebContentsView reports view-relative coordinates,
+    // which would misplace the menu in the window; the cursor is always right.
+    Menu.buildFromTemplate(template).popup({
+      window: resolveOwnerWin(ownerWin) || undefined,
+    });
+  });
+}
+
+// Esc or the close-page shortcut (Ctrl+W) closes a pop-up; the devtools and
+// user-styles shortcuts work as in the main window. Keys come from settings.
+function attachPopupShortcuts(w) {
+  w.webContents.on('before-input-event', (event, input) => {
+    if (input.type !== 'keyDown') return;
+    const key = (input.key || '').toLowerCase();
+    const action = shortcutAction(input);
+
+    if (key === 'escape' || action === 'closePage') {
+      event.preventDefault();
+      if (w && !w.isDestroyed()) w.close();
+      return;
+    }
+    if (action === 'devtools') {
+      event.preventDefault();
+      w.webContents.toggleDevTools();
+      return;
+    }
+    if (action === 'toggleUserStyles') {
+      event.preventDefault();
+      toggleUserStyles();
+    }
+  });
+}
+
+// A page's beforeunload guard (e.g. an in-progress upload) tries to cancel a
+// navigation or window close. Without a handler Electron just blocks it with no
+// way out, trapping the window. Intercept it and show a real confirm dialog:
+// preventDefault() lets the unload proceed (user chose Leave); doing nothing
+// keeps the page (user chose Stay).
+function attachUnloadPrompt(contents, ownerWin) {
+  contents.on('will-prevent-unload', (event) => {
+    const win = resolveOwnerWin(ownerWin) || BrowserWindow.fromWebContents(contents);
+    // Buttons are laid out left-to-right in array order on Linux; the
+    // affirmative action goes on the right (GNOME/GTK convention), so 'Leave'
+    // is last.
+    const choice = dialog.showMessageBoxSync(win || undefined, {
+      type: 'question',
+      buttons: ['Stay', 'Leave'],
+      defaultId: 1,
+      cancelId: 0,
+      title: 'Leave site?',
+      message: 'Changes you made may not be saved.'
+    });
+    if (choice === 1) event.preventDefault(); // Leave → allow the unload
+  });
+}
+
+// Wire up a freshly created pop-up window. Pop-ups navigate freely (so auth /
+// redirect flows complete inside them); only file:// drops are blocked. Nested
+// pop-ups follow the same policy. Menu suppression is handled globally by
+// browser-window-created in installNoMenuOnce().
+function configurePopup(svc, childWindow) {
+  if (!childWindow || childWindow.isDestroyed()) return;
+
+  const contents = childWindow.webContents;
+  contents.setWindowOpenHandler((details) => handleWindowOpen(svc, details));
+  contents.on('did-create-window', (child) => configurePopup(svc, child));
+
+  contents.on('will-navigate', (e, url) => {
+    try { if (new URL(url).protocol === 'file:') e.preventDefault(); } catch {}
+  });
+
+  attachContextMenu(contents, childWindow);
+  attachPopupShortcuts(childWindow);
+  attachUnloadPrompt(contents, childWindow);
+  installPromptOverride(contents);
+  installUserscripts(svc, contents);
+  installUserStyles(svc, contents);
+}
+
+// ---------------- Create window (deduped) ----------------
+async function createWindowOnce() {
+  if (focusExistingWindow()) return win;
+  if (creatingPromise) return creatingPromise;
+
+  creatingPromise = (async () => {
+    installNoMenuOnce();
+    // Firewall first: it must exist before the first byte of any site is requested.
+    for (const svc of SERVICES) {
+      installNetworkLockdownOnce(svc);
+      installHeaderScrubbingOnce(svc);
+      installCookiePolicyOnce(svc);
+      installCertificatePinningOnce(svc);
+      installTrafficAccountingOnce(svc);
+      installHarCaptureOnce(svc);
+    }
+    if (IS_SUITE || EPHEMERAL) installShellLockdownOnce();
+    await Promise.all(SERVICES.map((svc) => applyProxy(svc)));
+
+    // Media permissions (webcam / microphone). Chromium denies getUserMedia by
+    // default unless the embedder approves it; without these handlers the camera
+    // is never reachable. Grant media only for our own https origins.
+    const mediaPerms = new Set(['media', 'camera', 'microphone', 'mediaKeySystem']);
+    // The async Clipboard API (navigator.clipboard.writeText / readText) is also
+    // routed through the permission handler. Once a handler is installed, Chromium
+    // denies it unless explicitly granted — that is why the site's "click to copy"
+    // buttons silently fail. Grant clipboard read + (sanitized) write for our
+    // origins so copy/paste works.
+    const clipboardPerms = new Set(['clipboard-read', 'clipboard-sanitized-write']);
+    // The HTML5 Fullscreen API (element.requestFullscreen) is routed through the
+    // permission handler too. Once a handler is installed, Chromium denies
+    // fullscreen unless it is explicitly granted — that is why the site cannot go
+    // fullscreen even though F11 (a native toggle) works. Grant it for our origins.
+    const allowedPerms = new Set([...mediaPerms, ...clipboardPerms, 'fullscreen']);
+
+    // Fullscreen may be requested from inside a CROSS-ORIGIN embed — e.g. a
+    // YouTube iframe, whose requestingUrl is youtube.com, not our site. Gating it
+    // on the requesting origin (as the other perms are) wrongly denies embedded
+    // players while same-origin HTML5 <video> still works. So for fullscreen,
+    // trust the TOP-LEVEL page instead: if our site is the page driving the
+    // window, allow any frame inside it to go fullscreen.
+    const topOriginTrusted = (svc, wc) => {
+      try { return isTrustedUrl(svc, wc && wc.getURL()); } catch { return false; }
+    };
+
+    // Downloads: pick save location (or, with askWhereToSave off, take the next
+    // free name in the Downloads folder), show progress in the bottom bar +
+    // taskbar, and notify only on completion/failure (no "downloading" start
+    // toast). Electron requires setSavePath synchronously, so we download to a
+    // temp file first and move it to the chosen location once done.
+    //
+    // Networks drop (VPN toggles, Wi-Fi blips). A dropped connection usually dies
+    // *silently* — Chromium keeps the item 'progressing' but no bytes arrive, and
+    // pause()/resume() won't dislodge the dead socket (verified: resume() never
+    // reopens the connection). So a watchdog detects the stall, cancels the stuck
+    // transfer, and *restarts* the download — reusing the chosen path + chip with
+    // no re-prompt — until it succeeds or a long grace period is exhausted.
+    // How long "no byte movement" lasts before recovering and how many restarts
+    // are allowed (default 10, ~survives a multi-minute outage) are settings:
+    // downloadStallSeconds / downloadMaxRestarts, read as they are needed.
+    const RECOVER_BACKOFF_MS = 2500; // min gap between recovery attempts
+    const RESTART_ADOPT_MS = 20000;  // if a restart never re-downloads, fail it
+
+    // "name (1).ext", "name (2).ext", ... - the first one not already on disk,
+    // in the Downloads folder or the policy's forced downloadDirectory.
+    function freeDownloadPath(filename) {
+      const dir = POLICY.downloadDirectory || app.getPath('downloads');
+      try { fs.mkdirSync(dir, { recursive: true }); } catch {}
+      const ext = path.extname(filename);
+      const base = filename.slice(0, filename.length - ext.length);
+      let candidate = path.join(dir, filename);
+      for (let n = 1; fs.existsSync(candidate); n++) candidate = path.join(dir, `${base} (${n})${ext}`);
+      return candidate;
+    }
+
+    // Spellcheck, permissions and downloads for one service's session. Every
+    // service gets the same handling, judged against its own host lists.
+    function configureSession(svc) {
+      const ses = serviceSession(svc);
+
+      applySpellcheck(svc);
+
+      ses.setPermissionRequestHandler((wc, permission, callback, details) => {
+        if (permission === 'fullscreen') {
+          callback(topOriginTrusted(svc, wc));
+          return;
+        }
+        const origin = (details && details.requestingUrl) || (wc && wc.getURL());
+        const granted = allowedPerms.has(permission) && isTrustedUrl(svc, origin);
+        // A silent denial presents as a "copy" button that does nothing or a mic
+        // that never activates, with no other trace. Log it.
+        if (!granted) logIfTerminal(`[perm] ${svcTag(svc)}denied ${permission} for ${origin}`);
+        if (!granted && allowedPerms.has(permission)) learnRefusedPermission(svc, origin, permission);
+        callback(granted);
+      });
+      // Synchronous check used by Chromium for some flows (e.g. enumerateDevices labels).
+      ses.setPermissionCheckHandler((wc, permission, origin) => {
+        if (permission === 'fullscreen') return topOriginTrusted(svc, wc);
+        const granted = allowedPerms.has(permission) && isTrustedUrl(svc, origin);
+        if (!granted) logIfTerminal(`[perm] ${svcTag(svc)}check denied ${permission} for ${origin}`);
+        return granted;
+      });
+
+      ses.on('will-download', (_event, item) => {
+        const filename = item.getFilename();
+        const url = item.getURL();
+        const tmpPath = path.join(app.getPath('temp'), `ll_dl_${Date.now()}_${filename}`);
+        item.setSavePath(tmpPath);
+
+        // Is this a programmatic restart of a stalled download? If so adopt its
+        // context (chosen path, existing chip, retry count) instead of re-prompting.
+        let restartCtx = null;
+        const pending = dlRestarts.get(url);
+        if (pending && pending.length) { restartCtx = pending.shift(); if (!pending.length) dlRestarts.delete(url); }
+
+        let finalPath = restartCtx ? restartCtx.finalPath : null;
+        let entryId   = restartCtx ? restartCtx.entryId   : null;
+        let retries   = restartCtx ? restartCtx.retries   : 0;
+        let itemDone = false;
+        let itemState = null;
+
+        // Stall/recovery tracking.
+        let lastBytes = 0;
+        let lastProgressAt = Date.now();
+        let lastRecoverAt = 0;
+        let watchdog = null;
+
+        const dlEntry = () => downloads.find((d) => d.id === entryId);
+        const stopWatchdog = () => { if (watchdog) { clearInterval(watchdog); watchdog = null; } };
+
+        function setStalled(on) {
+          const e = dlEntry();
+          if (e && e.stalled !== on) { e.stalled = on; dlPush(); }
+        }
+        // Show a "progressing" chip once the user has confirmed a save path.
+        function ensureEntry() {
+          if (entryId != null) return;
+          entryId = ++dlSeq;
+          downloads.push({ id: entryId, filename: path.basename(finalPath), state: 'progressing', pct: null, received: 0, total: null, stalled: false, path: null });
+          dlItems.set(entryId, item);
+          dlRefresh();
+        }
+        // Move the chip to a terminal state, then auto-remove it after a moment.
+        function finishEntry(state) {
+          const e = dlEntry();
+          if (!e) return;
+          e.state = state;
+          e.stalled = false;
+          if (state === 'completed') e.path = finalPath;
+          dlPush();
+          setTimeout(() => dlRemove(entryId), 6000);
+        }
+        function failNow() {
+          stopWatchdog();
+          if (win && !win.isDestroyed()) win.setProgressBar(-1);
+          try { fs.unlinkSync(tmpPath); } catch {}
+          finishEntry('failed');
+          showNotif('Download Failed', filename);
+        }
+        // Queue a fresh attempt of the same URL and kick it off (reusing the chip).
+        // Returns false if it can't be started (no window / no committed path).
+        function startRestart() {
+          if (finalPath == null || entryId == null) return false;
+          const wc = dlWC(svc);
+          if (!wc) return false;
+          retries++;
+          setStalled(true);
+          const e = dlEntry();
+          if (e) { e.pct = null; e.received = 0; dlPush(); }
+          const ctx = { finalPath, entryId, retries };
+          const q = dlRestarts.get(url) || [];
+          q.push(ctx);
+          dlRestarts.set(url, q);
+          try { wc.downloadURL(url); } catch { return false; }
+          // Safety net: if nothing ever adopts this context (e.g. the URL no longer
+          // serves a download), don't leave the chip spinning forever — fail it.
+          setTimeout(() => {
+            const cur = dlRestarts.get(url);
+            if (!cur || !cur.includes(ctx)) return; // adopted — fine
+            cur.splice(cur.indexOf(ctx), 1);
+            if (!cur.length) dlRestarts.delete(url);
+            const ee = downloads.find((d) => d.id === ctx.entryId);
+            if (ee && ee.state === 'progressing') {
+              ee.state = 'failed'; ee.stalled = false; dlPush();
+              dlItems.delete(ctx.entryId);
+              setTimeout(() => dlRemove(ctx.entryId), 6000);
+              showNotif('Download Failed', filename);
+            }
+          }, RESTART_ADOPT_MS);
+          return true;
+        }
+        // Watchdog-detected stall: abandon the stuck transfer and restart it.
+        function recoverFromStall() {
+          if (itemDone || finalPath == null || entryId == null) return;
+          const now = Date.now();
+          if (now - lastRecoverAt < RECOVER_BACKOFF_MS) return;
+          lastRecoverAt = now;
+          itemDone = true;          // abandon this item; its 'done' handler will no-op
+          stopWatchdog();
+          try { item.cancel(); } catch {}
+          try { fs.unlinkSync(tmpPath); } catch {}
+          if (retries >= settings.downloadMaxRestarts || !startRestart()) failNow();
+        }
+
+        // A restart whose chip was dismissed/cancelled in the meantime: drop it.
+        if (restartCtx && !dlEntry()) { try { item.cancel(); } catch {} return; }
+        if (restartCtx && entryId != null) {
+          dlItems.set(entryId, item);           // × now cancels the new item
+          if (win && !win.isDestroyed()) win.setProgressBar(0);
+          setStalled(true);                     // "reconnecting…" until bytes flow
+        }
+
+        // Watchdog: notice when progress stops and recover.
+        watchdog = setInterval(() => {
+          if (itemDone) { stopWatchdog(); return; }
+          try {
+            // Any byte change (incl. a reset when a restart begins) counts as
+            // activity — only a frozen count is a stall.
+            const recv = item.getReceivedBytes();
+            if (recv !== lastBytes) { lastBytes = recv; lastProgressAt = Date.now(); setStalled(false); return; }
+            if (Date.now() - lastProgressAt > settings.downloadStallSeconds * 1000) recoverFromStall();
+          } catch { stopWatchdog(); }
+        }, 3000);
+
+        // The destination is settled: start the visible progress indicators.
+        function commitPath(filePath) {
+          finalPath = filePath;
+          if (win && !win.isDestroyed()) win.setProgressBar(0);
+          ensureEntry();
+          // The download may have already finished while the dialog was open.
+          if (itemDone) {
+            stopWatchdog();
+            if (itemState === 'completed') { moveDL(tmpPath, finalPath, filename); finishEntry('completed'); }
+            else if (itemState !== 'cancelled') finishEntry('failed');
+          }
+        }
+
+        if (!restartCtx && !settings.askWhereToSave) {
+          commitPath(freeDownloadPath(filename));
+        } else if (!restartCtx) {
+          dialog.showSaveDialog(win || undefined, {
+            title: 'Save Download',
+            defaultPath: path.join(app.getPath('downloads'), filename),
+            buttonLabel: 'Save',
+          }).then(({ filePath, canceled }) => {
+            if (canceled || !filePath) {
+              stopWatchdog();
+              if (!itemDone) item.cancel();
+              else try { fs.unlinkSync(tmpPath); } catch {}
+              return;
+            }
+            commitPath(filePath);
+          }).catch(() => {
+            stopWatchdog();
+            if (!itemDone) item.cancel();
+          });
+        }
+
+        item.on('updated', (_e, state) => {
+          const recv = item.getReceivedBytes();
+          if (recv !== lastBytes) { lastBytes = recv; lastProgressAt = Date.now(); }
+          if (state === 'interrupted') { // let Chromium range-continue if it can
+            if (item.canResume()) { try { item.resume(); } catch {} }
+            return;
+          }
+          if (state !== 'progressing' || item.isPaused() || finalPath == null) return;
+          const total = item.getTotalBytes();
+          const ratio = total > 0 ? recv / total : -1;
+          const pct   = total > 0 ? Math.floor(ratio * 100) : null;
+          if (win && !win.isDestroyed()) win.setProgressBar(ratio);
+          const e = dlEntry();
+          if (e) { e.pct = pct; e.received = recv; e.total = total > 0 ? total : null; e.stalled = false; dlPush(); }
+        });
+
+        item.once('done', (_e, state) => {
+          if (itemDone) return; // already finalized/abandoned
+          itemDone  = true;
+          itemState = state;
+          stopWatchdog();
+          if (win && !win.isDestroyed()) win.setProgressBar(-1);
+          if (state === 'completed') {
+            if (finalPath) { moveDL(tmpPath, finalPath, filename); finishEntry('completed'); }
+            // else dialog still open — handled from its .then()
+          } else if (state === 'cancelled') {
+            try { fs.unlinkSync(tmpPath); } catch {}
+            dlRemove(entryId);
+          } else { // interrupted & unresumable — restart if we still have budget
+            try { fs.unlinkSync(tmpPath); } catch {}
+            if (finalPath != null && entryId != null && retries < settings.downloadMaxRestarts && startRestart()) return;
+            finishEntry('failed');
+            showNotif('Download Failed', filename);
+          }
+        });
+      });
+
+    }
+    for (const svc of SERVICES) configureSession(svc);
+
+    // The window's own webContents is an inert shell (about:blank): the sites
+    // load in WebContentsViews layered on top of it. Keeping each page in its
+    // own view lets the download bar reserve space at the bottom of the window
+    // (and a suite's switcher strip the top) instead of covering the page.
+    win = new BrowserWindow({
+      width: 1440,
+      height: 900,
+      show: false,
+      title: windowTitle(APP_TITLE),
+      backgroundColor: '#1b1b22',
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+      },
+      icon: APP_ICON
+    });
+
+    win.setMenu(null);
+    win.setMenuBarVisibility(false);
+    win.setAutoHideMenuBar(true);
+
+    // ---- The pages ----
+    // One WebContentsView per service with the site's webPreferences
+    // (preload.js), created the first time the service is shown and then kept
+    // alive - hidden, not destroyed - while another service is showing. A plain
+    // wrapper has exactly one.
+    const pages = new Map(); // service -> { svc, view, title, htmlFullscreen }
+    let activeSvc = null;
+
+    // Download status bar: a WebContentsView pinned to the bottom of the window.
+    // `downloads` is the source of truth; the bar renders whatever we push.
+    const downloads = []; // { id, filename, state:'progressing'|'completed'|'failed', pct, received, total, stalled, path }
+    const dlItems = new Map(); // download id -> DownloadItem, so the × can cancel it
+    const dlRestarts = new Map(); // url -> queued restart contexts (stall recovery)
+    let dlBarView = null;
+    let dlSeq = 0;
+
+    // Service switcher (suites only): a WebContentsView pinned to the top of the
+    // window, built like the download bar.
+    let switcherView = null;
+
+    // Notice bar: one window-wide message under the switcher (safe mode, ...),
+    // hidden while there is none. `notice` = { text, actions: [{ id, label }],
+    // onAction(id) }; the bar's × sends 'dismiss'.
+    let noticeView = null;
+    let notice = null;
+
+    const activePage = () => (activeSvc && pages.get(activeSvc)) || null;
+
+    const pageContents = (svc = activeSvc) => {
+      const pg = svc && pages.get(svc);
+      const wc = pg && pg.view.webContents;
+      return wc && !wc.isDestroyed() ? wc : null;
+    };
+
+    // The showing page fills the window, minus the switcher strip and the
+    // download bar when they are showing; in HTML5 fullscreen it covers the
+    // whole window, strip and bar included. Hidden pages keep the same bounds so
+    // switching to one does not re-lay-out the site.
+    function layoutViews() {
+      if (!win || win.isDestroyed()) return;
+      const [w, h] = win.getContentSize();
+      const page = activePage();
+      const fullscreen = !!(page && page.htmlFullscreen);
+      // The bar is hidden while the page is in HTML5 fullscreen (which covers
+      // the whole window) and when there is nothing to show.
+      const barVisible = downloads.length > 0 && !fullscreen;
+      const barH = barVisible ? DOWNLOAD_BAR_HEIGHT : 0;
+      const switcherVisible = !!switcherView && !fullscreen;
+      const switcherH = switcherVisible ? SWITCHER_HEIGHT : 0;
+      const noticeVisible = !!noticeView && !!notice && !fullscreen;
+      const topH = switcherH + (noticeVisible ? NOTICE_BAR_HEIGHT : 0);
+      for (const pg of pages.values()) {
+        pg.view.setVisible(pg === page);
+        pg.view.setBounds(pg === page && fullscreen
+          ? { x: 0, y: 0, width: w, height: h }
+          : { x: 0, y: topH, width: w, height: Math.max(h - topH - barH, 0) });
+      }
+      if (switcherView) {
+        switcherView.setVisible(switcherVisible);
+        if (switcherVisible) switcherView.setBounds({ x: 0, y: 0, width: w, height: SWITCHER_HEIGHT });
+      }
+      if (noticeView) {
+        noticeView.setVisible(noticeVisible);
+        if (noticeVisible) noticeView.setBounds({ x: 0, y: switcherH, width: w, height: NOTICE_BAR_HEIGHT });
+      }
+      if (dlBarView) {
+        dlBarView.setVisible(barVisible);
+        if (barVisible) {
+          dlBarView.setBounds({ x: 0, y: Math.max(h - DOWNLOAD_BAR_HEIGHT, 0), width: w, height: DOWNLOAD_BAR_HEIGHT });
+        }
+      }
+    }
+    win.on('resize', layoutViews);
+    win.on('enter-full-screen', layoutViews);
+    win.on('leave-full-screen', layoutViews);
+
+    // ---- Download bar state ----
+    function dlPush() {
+      if (!dlBarView || dlBarView.webContents.isDestroyed()) return;
+      dlBarView.webContents.send('ll-dl-state', { items: downloads });
+    }
+    // Adding/removing an entry changes whether the bar is shown, so re-layout
+    // (reserve/reclaim the bottom strip) as well as re-render.
+    function dlRefresh() {
+      layoutViews();
+      dlPush();
+    }
+    function dlRemove(id) {
+      dlItems.delete(id);
+      const i = downloads.findIndex((d) => d.id === id);
+      if (i === -1) return;
+      downloads.splice(i, 1);
+      dlRefresh();
+    }
+    // The × cancels a still-running download (its 'done'/'cancelled' handler then
+    // clears the chip); for a finished chip it just dismisses it.
+    function dlDismiss(id) {
+      const d = downloads.find((x) => x.id === id);
+      const item = dlItems.get(id);
+      if (d && d.state === 'progressing' && item) { try { item.cancel(); } catch {} return; }
+      dlRemove(id);
+    }
+    function dlOpen(id) {
+      const d = downloads.find((x) => x.id === id);
+      if (d && d.path) { try { shell.showItemInFolder(d.path); } catch {} }
+    }
+    // A webContents to re-issue a download from (stall recovery). It must be on
+    // the download's own service session (its firewall and cookies): prefer that
+    // service's page; a plain wrapper can fall back to the window shell, which
+    // shares the default session with its page. A suite's pages and an
+    // ephemeral page run on their own partitions, and the shell's session is
+    // locked down, so there is no fallback.
+    function dlWC(svc) {
+      const wc = pageContents(svc);
+      if (wc) return wc;
+      return !IS_SUITE && !EPHEMERAL && win && !win.isDestroyed() ? win.webContents : null;
+    }
+
+    // ---- Switcher state ----
+    function swPush() {
+      if (!switcherView || switcherView.webContents.isDestroyed()) return;
+      switcherView.webContents.send('ll-sw-state', {
+        services: SERVICES.map((svc, i) => ({
+          id: svc.id,
+          title: svc.title,
+          shortcut: i < 9 ? `Ctrl+${i + 1}` : '',
+          active: svc === activeSvc,
+          live: pages.has(svc),
+        })),
+      });
+    }
+
+    // ---- Notice bar state ----
+    function nbPush() {
+      if (!noticeView || noticeView.webContents.isDestroyed()) return;
+      noticeView.webContents.send('ll-nb-state', {
+        notice: notice && { text: notice.text, actions: notice.actions || [] },
+      });
+    }
+    // Replaces whatever notice was showing; null clears the bar.
+    function showNotice(next) {
+      notice = next;
+      layoutViews();
+      nbPush();
+    }
+    function nbAction(id) {
+      const current = notice;
+      if (!current) return;
+      if (id === 'dismiss') showNotice(null);
+      if (current.onAction) current.onAction(id);
+    }
+
+    // The window's own webContents is a blank shell, so win.focus() alone leaves
+    // keyboard focus outside the page and the site's document-level key handlers
+    // (arrow-key seek, space play/pause) never fire until the user clicks. Hand
+    // focus to the page's view instead.
+    //
+    // Deferred by a tick: the click or compositor event that raised the window can
+    // otherwise re-take focus in the same turn, undoing a synchronous focus() call.
+    // The isFocused() recheck stops us stealing focus if the window lost it again
+    // before the tick ran.
+    function focusPage() {
+      setImmediate(() => {
+        if (!win || win.isDestroyed() || !win.isFocused()) return;
+        const wc = pageContents();
+        if (wc) { try { wc.focus(); } catch {} }
+      });
+    }
+
+    // Load svc's site: the URL it was hidden at, or a fresh home page.
+    function createPage(svc) {
+      // Safe mode consumes the restore state unread: it may be what broke startup.
+      const restoreUrl = SAFE_MODE ? null : readRestoreState(svc);
+      if (SAFE_MODE) clearRestoreState(svc);
+      const view = new WebContentsView({
+        webPreferences: {
+          nodeIntegration: false,
+          contextIsolation: true,
+          sandbox: true,
+          spellcheck: true,
+          // A policy without devtools takes them away at the source; the
+          // shortcut is locked off too (see policy.js).
+          devTools: POLICY.devtools,
+          preload: path.join(__dirname, 'preload.js'),
+          session: serviceSession(svc),
+        },
+      });
+      view.setBackgroundColor('#1b1b22');
+      const pg = { svc, view, title: svc.title, htmlFullscreen: false };
+      pages.set(svc, pg);
+      // Below the bars: they must stay clickable over any page.
+      win.contentView.addChildView(view, 0);
+      wirePageContents(pg);
+      layoutViews();
+      view.webContents.loadURL(restoreUrl || svc.homeUrl).catch(() => {});
+
+      // If we restored, clear the marker once the load outcome is known
+      if (restoreUrl) {
+        view.webContents.once('did-finish-load', () => clearRestoreState(svc));
+        view.webContents.once('did-fail-load', () => clearRestoreState(svc));
+      }
+      return pg;
+    }
+
+    // Bring svc's page to the front, creating it on first use. Other pages keep
+    // running behind it.
+    function showService(svc) {
+      if (!svc || !win || win.isDestroyed()) return;
+      activeSvc = svc;
+      const pg = pages.get(svc) || createPage(svc);
+      layoutViews();
+      try { win.setTitle(windowTitle(pg.title)); } catch {}
+      swPush();
+      focusPage();
+      if (IS_SUITE) writeActiveServiceId(svc.id);
+    }
+
+    function selectService(id) {
+      const svc = SERVICES.find((s) => s.id === id);
+      if (svc && svc !== activeSvc) showService(svc);
+      else focusPage();
+    }
+
+    // Ask the showing page to close; the actual teardown happens in the
+    // 'destroyed' handler (wirePageContents), after beforeunload had its chance
+    // to veto via attachUnloadPrompt. Closing the last page quits the app.
+    function closePage() {
+      const wc = pageContents();
+      if (wc) { try { wc.close(); } catch {} }
+    }
+
+    // Snapshot for hide-to-background restore: each live page's URL, if it is
+    // an in-app page of its service.
+    function collectState() {
+      const state = [];
+      for (const svc of pages.keys()) {
+        let u = null;
+        try {
+          const wc = pageContents(svc);
+          u = wc ? wc.getURL() || null : null;
+        } catch {}
+        if (u && isInAppUrl(svc, u)) state.push({ svc, url: u });
+      }
+      return state;
+    }
+
+    // Any real close = hard reset (no restore next launch)
+    win.on('close', () => {
+      clearAllRestoreState();
+    });
+
+    // Keyboard shortcuts — one handler shared by the window shell, the pages and
+    // the switcher strip
+    let lastFocusAt = 0;
+    win.on('focus', () => {
+      lastFocusAt = Date.now();   // must stay first: feeds the Ctrl+W/Q bleed guard below
+      focusPage();
+    });
+    win.on('show', () => focusPage());
+    win.on('restore', () => focusPage());
+
+    // Keys come from settings (see SHORTCUT_ACTIONS for the defaults), read
+    // per keypress so a rebinding applies at once.
+    const shortcutHandler = (event, input) => {
+      if (input.type !== 'keyDown') return;
+
+      const fw = BrowserWindow.getFocusedWindow();
+      if (!fw || fw.id !== win.id) return;
+
+      const key = (input.key || '').toLowerCase();
+      const ctrlOrCmd = !!(input.control || input.meta);
+      const contents = pageContents();
+
+      // Ctrl+1..9 switch services in a suite, in profile order. Fixed, and
+      // checked first so a rebinding cannot shadow them.
+      if (IS_SUITE && ctrlOrCmd && !input.shift && !input.alt && /^[1-9]$/.test(key)) {
+        event.preventDefault();
+        const svc = SERVICES[Number(key) - 1];
+        if (svc) selectService(svc.id);
+        return;
+      }
+
+      const action = shortcutAction(input);
+      if (!action) return;
+
+      // Prevent cross-window Ctrl+W/Q bleed: the key-up of a close in another
+      // window must not close this one too.
+      if (action === 'quit' || action === 'closePage') {
+        const msSinceFocus = Date.now() - lastFocusAt;
+        if (msSinceFocus >= 0 && msSinceFocus < 250) return;
+      }
+
+      if (action === 'quit') {
+        event.preventDefault();
+        clearAllRestoreState();
+        app.quit();
+        return;
+      }
+
+      // Ctrl+W closes the showing page (the app, once no page is left), giving
+      // beforeunload its say. The restore marker is cleared by the page's
+      // teardown, so a vetoed close (an in-progress upload, say) leaves it intact.
+      if (action === 'closePage') {
+        event.preventDefault();
+        closePage();
+        return;
+      }
+
+      if (action === 'reload') {
+        event.preventDefault();
+        if (contents) contents.reload();
+        return;
+      }
+
+      if (action === 'hardReload') {
+        event.preventDefault();
+        if (contents) contents.reloadIgnoringCache();
+        return;
+      }
+
+      if (action === 'devtools') {
+        event.preventDefault();
+        if (contents) contents.toggleDevTools();
+        return;
+      }
+
+      // Ctrl+Shift+U turns every user style off (and back on) until restart:
+      // the quick way to tell whether a broken layout is the site or your CSS.
+      if (action === 'toggleUserStyles') {
+        event.preventDefault();
+        toggleUserStyles();
+        return;
+      }
+
+      if (action === 'settings') {
+        event.preventDefault();
+        openSettingsWindow();
+        return;
+      }
+
+      if (action === 'firewall') {
+        event.preventDefault();
+        openFirewallWindow();
+        return;
+      }
+
+      if (action === 'traffic') {
+        event.preventDefault();
+        openTrafficWindow();
+        return;
+      }
+
+      if (action === 'fullscreen') {
+        event.preventDefault();
+        win.setFullScreen(!win.isFullScreen());
+        return;
+      }
+
+      if (action === 'back' && contents && contents.navigationHistory.canGoBack()) {
+        event.preventDefault();
+        contents.navigationHistory.goBack();
+        return;
+      }
+
+      if (action === 'forward' && contents && contents.navigationHistory.canGoForward()) {
+        event.preventDefault();
+        contents.navigationHistory.goForward();
+        return;
+      }
+    };
+
+    win.webContents.on('before-input-event', shortcutHandler);
+
+
+    win.once('ready-to-show', () => {
+      if (!win || win.isDestroyed()) return;
+      win.setSkipTaskbar(false);
+      win.show();
+      win.focus();
+    });
+
+    // Decide what to do with a same-window navigation in one of svc's pages.
+    // Returns true if it was handled (and the caller should preventDefault),
+    // false to let it proceed.
+    const handleNavigation = (svc, url) => {
+      let u;
+      try { u = new URL(url); } catch { return false; }
+      // Prevent Electron from navigating to dropped files.
+      if (u.protocol === 'file:') return true;
+      // Non-web schemes (magnet:, mailto:, tel:, ftp:, ...) can't load as a page
+      // navigation — Chromium just drops them, so a clicked magnet link does
+      // nothing. Hand them to the OS handler (e.g. the torrent client) instead.
+      if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+        openExternal(url);
+        return true;
+      }
+      // External http(s) → system browser (matches the rest of the app policy).
+      if (shouldOpenExternally(svc, url)) {
+        openExternal(url);
+        return true;
+      }
+      return false;
+    };
+
+    // Wire up a page's webContents.
+    function wirePageContents(pg) {
+      const { svc } = pg;
+      const contents = pg.view.webContents;
+
+      contents.on('will-navigate', (e, url) => {
+        if (handleNavigation(svc, url)) e.preventDefault();
+      });
+      contents.on('will-redirect', (e, url) => {
+        if (handleNavigation(svc, url)) e.preventDefault();
+      });
+
+      // The window's own webContents is blank and can't drive the title, so
+      // track the showing page's title on the window directly.
+      contents.on('page-title-updated', (_e, title) => {
+        pg.title = title || svc.title;
+        if (svc !== activeSvc) return;
+        try { if (win && !win.isDestroyed()) win.setTitle(windowTitle(pg.title)); } catch {}
+      });
+
+      // HTML5 fullscreen (e.g. fullscreen video): re-lay-out so the view covers
+      // the whole window (download bar included). Electron auto-fullscreens the
+      // owning BrowserWindow.
+      contents.on('enter-html-full-screen', () => { pg.htmlFullscreen = true; layoutViews(); });
+      contents.on('leave-html-full-screen', () => { pg.htmlFullscreen = false; layoutViews(); });
+
+      // A proxy that is down or refuses us leaves a blank page; say so instead.
+      contents.on('did-fail-load', (_e, _code, description, url, isMainFrame) => {
+        if (isMainFrame && PROXY_ERROR.test(description || '')) showProxyError(contents, url, description);
+      });
+
+      // Renderer death (distinct from the GPU/utility crashes caught at the app
+      // level) — logs the reason + exit code so a hard playback failure is
+      // traceable. 'clean-exit' and normal navigations are skipped as noise.
+      contents.on('render-process-gone', (_e, details) => {
+        if (details.reason === 'clean-exit') return;
+        console.error(`[crash] ${svcTag(svc)}render-process-gone:`, JSON.stringify(details));
+        startupFailed(`${svcTag(svc)}renderer ${details.reason}`);
+      });
+
+      // Pop-ups (window.open / target=_blank): home-domain links and the site's
+      // scripted form windows open in-app, plain external links go to the system
+      // browser. See handleWindowOpen.
+      contents.setWindowOpenHandler((details) => handleWindowOpen(svc, details));
+      contents.on('did-create-window', (child) => configurePopup(svc, child));
+
+      // Context menu + unload guard parent to the main window.
+      attachContextMenu(contents, () => win);
+      attachUnloadPrompt(contents, () => win);
+
+      // Provide a working window.prompt() (Electron omits it). See the section above.
+      installPromptOverride(contents);
+
+      // Shipped and user DOM fix-ups. See the Userscripts section above.
+      installUserscripts(svc, contents);
+      installUserStyles(svc, contents);
+
+      contents.on('before-input-event', shortcutHandler);
+
+      // Teardown after webContents.close() (beforeunload may have vetoed it).
+      // Closing the last page = closing the app; in a suite another live
+      // service takes over the window.
+      contents.once('destroyed', () => {
+        if (pages.get(svc) !== pg) return;
+        pages.delete(svc);
+        if (!win || win.isDestroyed()) return; // whole window going away already
+        try { win.contentView.removeChildView(pg.view); } catch {}
+        clearRestoreState(svc);
+        const next = pages.keys().next().value;
+        if (!next) { app.quit(); return; }
+        if (svc === activeSvc) showService(next);
+        else swPush();
+      });
+    }
+
+    // The window shell itself must never navigate or open windows.
+    win.webContents.on('will-navigate', (e) => e.preventDefault());
+    win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+    win.webContents.on('render-process-gone', (_e, details) => {
+      if (details.reason === 'clean-exit') return;
+      console.error('[crash] shell render-process-gone:', JSON.stringify(details));
+    });
+
+    pageApi = {
+      collectState,
+      dlPush,
+      dlDismiss,
+      dlOpen,
+      swPush,
+      nbPush,
+      nbAction,
+      showNotice,
+      currentNotice: () => notice,
+      selectService,
+      contents: pageContents,
+    };
+
+    // Loaded only so the window paints and reaches 'ready-to-show'; the page
+    // view covers it completely.
+    await win.loadURL('about:blank');
+
+    // Download status bar — a local WebContentsView pinned to the bottom of the
+    // window (see layoutViews). Starts hidden; shown only when downloads exist.
+    dlBarView = new WebContentsView({
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        preload: path.join(__dirname, 'downloadbar-preload.js'),
+      },
+    });
+    dlBarView.setBackgroundColor('#101016');
+    win.contentView.addChildView(dlBarView);
+    dlBarView.setVisible(false);
+    dlBarView.webContents.loadFile(path.join(__dirname, 'downloadbar.html')).catch(() => {});
+
+    // Service switcher — a local WebContentsView pinned to the top of a suite's
+    // window (see layoutViews); a plain wrapper has nothing to switch between.
+    if (IS_SUITE) {
+      switcherView = new WebContentsView({
+        webPreferences: {
+          nodeIntegration: false,
+          contextIsolation: true,
+          sandbox: true,
+          preload: path.join(__dirname, 'switcher-preload.js'),
+        },
+      });
+      switcherView.setBackgroundColor('#101016');
+      win.contentView.addChildView(switcherView);
+      switcherView.webContents.on('before-input-event', shortcutHandler);
+      switcherView.webContents.loadFile(path.join(__dirname, 'switcher.html')).catch(() => {});
+    }
+
+    // Notice bar — a local WebContentsView under the switcher (see layoutViews),
+    // shown only while a notice is up.
+    noticeView = new WebContentsView({
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        preload: path.join(__dirname, 'noticebar-preload.js'),
+      },
+    });
+    noticeView.setBackgroundColor('#2a2112');
+    win.contentView.addChildView(noticeView);
+    noticeView.setVisible(false);
+    noticeView.webContents.on('before-input-event', shortcutHandler);
+    noticeView.webContents.loadFile(path.join(__dirname, 'noticebar.html')).catch(() => {});
+    // One notice at a time: safe mode matters more than learn mode.
+    if (SAFE_MODE) showNotice(safeModeNotice());
+    else if (FIREWALL_LEARN) showNotice(learnNotice());
+
+    // Load the site: the service a suite showed last (else the first one), from
+    // its restore state or a fresh home page.
+    const lastId = IS_SUITE && !SAFE_MODE ? readActiveServiceId() : null;
+    showService(SERVICES.find((svc) => svc.id === lastId) || SERVICES[0]);
+
+    win.on('closed', () => {
+      win = null;
+      creatingPromise = null;
+      pageApi = null;
+    });
+
+    return win;
+  })();
+
+  try {
+    return await creatingPromise;
+  } catch (e) {
+    creatingPromise = null;
+    throw e;
+  }
+}
+
+// ---------------- Single instance lock ----------------
+const gotLock = app.requestSingleInstanceLock();
+
+if (!gotLock) {
+  app.quit();
+} else {
+  // Counted as failed until proved otherwise; see Safe mode.
+  if (!SAFE_MODE) writeFailedStarts(FAILED_STARTS + 1);
+  app.on('will-quit', writeLearnReport);
+  app.on('will-quit', () => auditLog.flush());
+  app.on('will-quit', saveTraffic);
+  app.on('will-quit', writeHarCapture);
+  // Quitting waits for the sweep (see Cookie policy), but never long: a session
+  // that hangs must not keep the app from closing.
+  app.on('before-quit', (event) => {
+    if (untrustedDataCleared || !settings.clearUntrustedDataOnQuit) return;
+    untrustedDataCleared = true;
+    event.preventDefault();
+    const giveUp = new Promise((resolve) => setTimeout(resolve, 5000));
+    Promise.race([clearUntrustedDataEverywhere(), giveUp]).finally(() => app.quit());
+  });
+  app.on('before-quit', () => {
+    // A clean quit inside the grace period is not a failed start.
+    if (startupSettled) return;
+    startupSettled = true;
+    clearTimeout(startupTimer);
+    writeFailedStarts(0);
+  });
+
+  app.on('second-instance', async (_event, argv) => {
+    // One instance per app: an ephemeral launch cannot join a normal run (or
+    // the other way round), so say why the window that comes up is this one.
+    if (argv.includes('--ephemeral') !== EPHEMERAL) {
+      showNotif(`${APP_TITLE} is already running`, EPHEMERAL
+        ? 'This is an ephemeral session. Quit it to start a normal one.'
+        : 'Quit it first to start an ephemeral session.');
+    } else if (parseHarArg(argv) && !harCapture) {
+      showNotif(`${APP_TITLE} is already running`, 'Quit it first to capture a HAR file.');
+    }
+
+    // If focused/visible, interpret as "hide-to-background" gesture.
+    if (win && !win.isDestroyed() && win.isVisible() && win.isFocused() && !win.isMinimized()) {
+      const state = pageApi ? pageApi.collectState() : [];
+      for (const { svc, url } of state) writeRestoreState(svc, url);
+
+      try {
+        win.setSkipTaskbar(true);
+        win.hide();
+        win.blur();
+      } catch {}
+
+      return;
+    }
+
+    await createWindowOnce();
+  });
+
+  app.whenReady().then(async () => {
+    // Log GPU status so hardware acceleration can be verified from the terminal.
+    // Each feature entry is 'enabled' (hardware), 'unavailable_software' (CPU
+    // fallback) or 'disabled_*'; look for gpu_compositing / opengl / rasterization
+    // to be 'enabled'. NOTE: the GPU process finishes initializing AFTER
+    // whenReady, so a snapshot taken here always shows the pre-init (software)
+    // state — query a few seconds later for the real picture.
+    const logGpuStatus = (when) => {
+      try {
+        const status = app.getGPUFeatureStatus();
+        console.log(`[gpu] feature status (${when}):`, JSON.stringify(status));
+        // Assert the Vulkan/Wayland contradiction stays resolved: under the
+        // wayland ozone platform (forced by useWaylandFlags) Vulkan must NOT be
+        // enabled. If this warns, something re-enabled Vulkan (e.g. a re-added
+        // --ignore-gpu-blocklist) — see the NOTE at the top of this file.
+        const onWayland = app.commandLine.getSwitchValue('ozone-platform') === 'wayland';
+        if (onWayland && typeof status.vulkan === 'string' && status.vulkan.startsWith('enabled')) {
+          console.error(`[gpu] WARNING (${when}): Vulkan is "${status.vulkan}" under --ozone-platform=wayland — incompatible; expected disabled_off`);
+        }
+      } catch (err) {
+        console.log(`[gpu] feature status unavailable: ${err.message}`);
+      }
+      // Device/driver details: vendorId 0x10de=NVIDIA / 0x1002=AMD / 0x8086=Intel.
+      // glImplementationParts other than (gl=none,angle=none) means a real GL
+      // backend is loaded.
+      app.getGPUInfo('basic')
+        .then((info) => console.log(`[gpu] device info (${when}):`, JSON.stringify(info)))
+        .catch((err) => console.log(`[gpu] device info unavailable: ${err.message}`));
+    };
+    // Confirm which Chromium switches actually reached the browser process.
+    // If 'disable-features' here does not contain "Vulkan", the flag is being
+    // dropped/clobbered (e.g. by a later --disable-features from the wrapper or
+    // zypak — Chromium keeps only the LAST occurrence of a repeated switch).
+    // 'ignore-gpu-blocklist' should be false (we removed it).
+    console.log('[gpu] cmdline switches (browser process):', JSON.stringify({
+      'disable-features': app.commandLine.getSwitchValue('disable-features'),
+      'enable-features': app.commandLine.getSwitchValue('enable-features'),
+      'ozone-platform': app.commandLine.getSwitchValue('ozone-platform'),
+      'ignore-gpu-blocklist': app.commandLine.hasSwitch('ignore-gpu-blocklist'),
+    }));
+
+    logGpuStatus('at-ready');
+    setTimeout(() => logGpuStatus('post-init'), 6000);
+
+    createWindowOnce().then(watchStartup, (err) => startupFailed(`window: ${err?.message || err}`));
+  });
+
+  // Log GPU / utility / renderer process deaths so a mid-playback stall (e.g. a
+  // GPU-process reset or audio/video decoder crash) is diagnosable after the
+  // fact. `child-process-gone` covers the GPU process and the utility processes
+  // (details.name is e.g. 'Audio Service' / 'Video Decoder'); clean exits are
+  // skipped to avoid noise. See the [gpu] startup logging in app.whenReady().
+  app.on('child-process-gone', (_event, details) => {
+    if (details.reason === 'clean-exit') return;
+    console.error('[crash] child-process-gone:', JSON.stringify(details));
+  });
+
+  app.on('activate', () => {
+    createWindowOnce();
+  });
+
+  app.on('window-all-closed', () => {
+    app.quit();
+  });
+}
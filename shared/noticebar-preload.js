@@ -0,0 +1,15 @@
+// noticebar-preload.js — bridge for the local notice bar (noticebar.html). The
+// bar is a WebContentsView pinned under the top of the main window that shows
+// one notice at a time (safe mode, ...); main.js owns the notice and its
+// buttons, and the bar sends back which button was pressed. Mirrors
+// downloadbar-preload.js.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('llNB', {
+  action: (id) => ipcRenderer.send('ll-nb-action', id),
+  onState: (cb) => {
+    ipcRenderer.on('ll-nb-state', (_event, state) => cb(state));
+    // Ask main for the current notice once the listener exists.
+    ipcRenderer.send('ll-nb-ready');
+  },
+});
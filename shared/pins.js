@@ -0,0 +1,101 @@
+// pins.js — TLS public-key pinning for the shared wrapper runtime.
+//
+// The firewall decides which hosts the app talks to; pinning makes sure it is
+// really talking to them, even through a network that can mint certificates
+// the system trusts (a TLS-inspecting proxy, a rogue CA). Configured per
+// profile, for hosts in trustedHosts:
+//
+//   "certificatePins": {
+//     "mode": "report",
+//     "pins": { "claude.ai": ["sha256/AAAA...=", "sha256/BBBB...="] }
+//   }
+//
+//   mode   "report" (default) logs and notifies a mismatch but lets the
+//          connection through; "enforce" also refuses it.
+//   pins   Per host (matched like allowedHosts' plain entries: the host and
+//          its subdomains; the longest match wins), the base64 SHA-256 of
+//          a SubjectPublicKeyInfo - the HPKP / Chromium "sha256/" form. A
+//          connection passes when any certificate in its verified chain has one
+//          of its host's keys, so pin the issuing CA's key and a backup rather
+//          than a leaf that rotates every few weeks.
+//
+// `openssl x509 -in cert.pem -pubkey -noout | openssl pkey -pubin -outform der
+//  | openssl dgst -sha256 -binary | base64` prints a certificate's pin.
+//
+// Pinning is additional: Chromium's own certificate verification still has to
+// pass. A profile without certificatePins pins nothing.
+//
+// Plain Node, no Electron.
+const crypto = require('crypto');
+const { isHostEntry } = require('./rules');
+
+const PIN_MODES = ['report', 'enforce'];
+const PIN_PATTERN = /^sha256\/[A-Za-z0-9+/]{43}=$/;
+
+// Normalize a profile's certificatePins. Throws on anything malformed, like
+// the rest of the profile. Returns { mode, pins: [{ host, hashes }] } or null.
+function parseCertificatePins(raw) {
+  if (raw == null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('[profile] "certificatePins" must be an object');
+  }
+  for (const key of Object.keys(raw)) {
+    if (!['mode', 'pins'].includes(key)) {
+      throw new Error(`[profile] "certificatePins" has an unknown key ${JSON.stringify(key)}`);
+    }
+  }
+  const mode = raw.mode == null ? 'report' : raw.mode;
+  if (!PIN_MODES.includes(mode)) {
+    throw new Error(`[profile] "certificatePins.mode" must be one of ${PIN_MODES.map((m) => `"${m}"`).join(', ')}`);
+  }
+  if (!raw.pins || typeof raw.pins !== 'object' || Array.isArray(raw.pins)) {
+    throw new Error('[profile] "certificatePins.pins" must be an object of host: ["sha256/..."]');
+  }
+  const pins = [];
+  for (const [host, hashes] of Object.entries(raw.pins)) {
+    const key = host.trim().toLowerCase();
+    if (!isHostEntry(key)) {
+      throw new Error(`[profile] "certificatePins.pins" key ${JSON.stringify(host)} is not a bare hostname`);
+    }
+    if (!Array.isArray(hashes) || !hashes.length || !hashes.every((h) => typeof h === 'string' && PIN_PATTERN.test(h))) {
+      throw new Error(`[profile] "certificatePins.pins.${host}" must be a non-empty array of "sha256/<base64>" pins`);
+    }
+    pins.push({ host: key, hashes: [...new Set(hashes)] });
+  }
+  return { mode, pins };
+}
+
+// The pin entry covering hostname, or null.
+function pinsFor(certificatePins, hostname) {
+  if (!certificatePins) return null;
+  const host = String(hostname).toLowerCase();
+  let best = null;
+  for (const entry of certificatePins.pins) {
+    if ((host === entry.host || host.endsWith(`.${entry.host}`)) && (!best || entry.host.length > best.host.length)) best = entry;
+  }
+  return best;
+}
+
+// A PEM certificate's pin, or null when it cannot be read.
+function spkiPin(pem) {
+  try {
+    const der = new crypto.X509Certificate(pem).publicKey.export({ type: 'spki', format: 'der' });
+    return `sha256/${crypto.createHash('sha256').update(der).digest('base64')}`;
+  } catch {
+    return null;
+  }
+}
+
+// Check a chain (PEMs, leaf first) against an entry from pinsFor. Returns
+// { ok, seen } where seen lists the chain's pins, for the log.
+function checkPins(entry, chainPems) {
+  const seen = chainPems.map(spkiPin).filter(Boolean);
+  return { ok: seen.some((pin) => entry.hashes.includes(pin)), seen };
+}
+
+module.exports = {
+  checkPins,
+  parseCertificatePins,
+  pinsFor,
+  spkiPin,
+};
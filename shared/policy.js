@@ -0,0 +1,223 @@
+// policy.js — system-wide admin policy for the shared wrapper runtime.
+//
+// For managed deployments (shared workstations): a policy.json that users
+// cannot edit, which restricts what the app does and pins settings so neither
+// the settings window nor a hand-edited settings.json can change them.
+//
+//   { "allowedHosts": ["claude.ai", "anthropic.com", "claudeusercontent.com"],
+//     "devtools": false,
+//     "externalLinks": false,
+//     "downloadDirectory": "/srv/shared/downloads",
+//     "userscripts": false,
+//     "settings": { "spellcheckLanguages": ["en-GB"], "shortcuts": { "quit": "" } } }
+//
+//   allowedHosts       Pins the firewall: replaces the profile's list and the
+//                      user's hosts.json edits to it. Entries are firewall
+//                      rules (see rules.js), deny rules included. In a suite,
+//                      an object of service id -> list pins services one by one.
+//   devtools           false = no developer tools anywhere (shortcut and
+//                      webPreferences alike).
+//   externalLinks      false = nothing is handed to the system browser or any
+//                      other OS handler; such links just do not open.
+//   downloadDirectory  Absolute path every download is saved to, without a
+//                      save dialog.
+//   userscripts        false = the user's userscripts/ folder is not loaded
+//                      (scripts shipped with the wrapper still run).
+//   settings           Values for settings.json keys (see settings.js), locked.
+//
+// Every key is optional; a missing file means no policy. Mistakes are reported
+// and the entry skipped, never fatal - and a skipped host is one fewer host
+// allowed, never one more (a skipped deny rule is the exception, and says so).
+//
+// Where it is read from: /etc/<app id>/policy.json (the app id is profile.json's
+// appId). A flatpak sees neither the host's /etc nor anything the user could
+// widen it to, so there the file comes from the <app id>.Policy extension
+// the manifest declares (finishArgs in package.json), mounted read-only at
+// /app/etc/policy. The admin installs it as root, unmanaged, e.g.
+//
+//   /var/lib/flatpak/extension/<app id>.Policy/x86_64/1/policy.json
+//
+// and the next start picks it up; no override, nothing a user can undo.
+//
+// Plain Node, no Electron.
+const path = require('path');
+const fs = require('fs');
+
+const { normalizeRule } = require('./rules');
+const { SHORTCUT_ACTIONS, checkSetting, parseAccelerator } = require('./settings');
+
+const POLICY_FILE = 'policy.json';
+
+const EXTENSION_DIR = '/app/etc/policy';
+
+function insideFlatpak() {
+  try { return !!process.env.FLATPAK_ID || fs.existsSync('/.flatpak-info'); } catch { return false; }
+}
+
+// The sandbox's /etc is the runtime's, which no admin writes to: a flatpak
+// reads the extension and nothing else.
+function policyPaths(appId) {
+  if (!appId) return [];
+  if (insideFlatpak()) return [path.join(EXTENSION_DIR, POLICY_FILE)];
+  return [path.join('/etc', appId, POLICY_FILE)];
+}
+
+// The policy in force when there is none.
+function emptyPolicy() {
+  return {
+    file: null,
+    allowedHosts: null,
+    devtools: true,
+    externalLinks: true,
+    downloadDirectory: null,
+    userscripts: true,
+    settings: {},
+    shortcuts: {},
+  };
+}
+
+function policyHosts(list, field, problems) {
+  if (!Array.isArray(list)) {
+    problems.push(`${field} must be an array of hostnames - ignored.`);
+    return null;
+  }
+  const hosts = [];
+  list.forEach((h, i) => {
+    const rule = normalizeRule(h);
+    if (rule) hosts.push(rule);
+    else if (typeof h === 'string' && h.trim().startsWith('!')) problems.push(`${field}[${i}] ${JSON.stringify(h)} is not a valid deny rule - skipped, so it blocks nothing.`);
+    else problems.push(`${field}[${i}] ${JSON.stringify(h)} is not a hostname or firewall rule - skipped.`);
+  });
+  return hosts;
+}
+
+// Normalize a parsed policy.json. Returns { policy, problems }.
+function parsePolicy(raw) {
+  const policy = emptyPolicy();
+  const problems = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('the file must contain a JSON object - ignored.');
+    return { policy, problems };
+  }
+  const known = ['allowedHosts', 'devtools', 'externalLinks', 'downloadDirectory', 'userscripts', 'settings'];
+  for (const key of Object.keys(raw)) {
+    if (!known.includes(key)) problems.push(`unknown key ${JSON.stringify(key)} - ignored.`);
+  }
+
+  // A list for every service, or { id: list } for a suite's services one by one.
+  if (raw.allowedHosts != null) {
+    if (Array.isArray(raw.allowedHosts)) {
+      policy.allowedHosts = { '*': policyHosts(raw.allowedHosts, 'allowedHosts', problems) };
+    } else if (typeof raw.allowedHosts === 'object') {
+      policy.allowedHosts = {};
+      for (const [id, list] of Object.entries(raw.allowedHosts)) {
+        const hosts = policyHosts(list, `allowedHosts.${id}`, problems);
+        if (hosts) policy.allowedHosts[id] = hosts;
+      }
+    } else {
+      problems.push('allowedHosts must be an array of hostnames or an object of service: hostnames - ignored.');
+    }
+  }
+
+  for (const key of ['devtools', 'externalLinks', 'userscripts']) {
+    if (raw[key] == null) continue;
+    if (typeof raw[key] === 'boolean') policy[key] = raw[key];
+    else problems.push(`${key} must be true or false - ignored.`);
+  }
+
+  if (raw.downloadDirectory != null) {
+    if (typeof raw.downloadDirectory === 'string' && path.isAbsolute(raw.downloadDirectory)) {
+      policy.downloadDirectory = path.normalize(raw.downloadDirectory);
+    } else {
+      problems.push('downloadDirectory must be an absolute path - ignored.');
+    }
+  }
+
+  const locked = raw.settings;
+  if (locked != null && (typeof locked !== 'object' || Array.isArray(locked))) {
+    problems.push('settings must be an object of settings.json keys - ignored.');
+  } else if (locked) {
+    for (const [key, value] of Object.entries(locked)) {
+      if (key === 'shortcuts') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          problems.push('settings.shortcuts must be an object of action: accelerator - ignored.');
+          continue;
+        }
+        for (const [id, accel] of Object.entries(value)) {
+          if (!SHORTCUT_ACTIONS.some((a) => a.id === id)) problems.push(`settings.shortcuts: unknown action ${JSON.stringify(id)} - ignored.`);
+          else if (accel === '' || accel === null) policy.shortcuts[id] = '';
+          else if (parseAccelerator(accel)) policy.shortcuts[id] = accel.trim();
+          else problems.push(`settings.shortcuts.${id} ${JSON.stringify(accel)} is not a shortcut - ignored.`);
+        }
+        continue;
+      }
+      const normalized = checkSetting(key, value);
+      if (normalized === undefined) problems.push(`settings.${key} ${JSON.stringify(value)} is not a valid value for that setting - ignored.`);
+      else policy.settings[key] = normalized;
+    }
+  }
+
+  // The keys that follow from the others: no devtools means no devtools
+  // shortcut, and a forced directory means no save dialog.
+  if (!policy.devtools) policy.shortcuts.devtools = '';
+  if (policy.downloadDirectory) policy.settings.askWhereToSave = false;
+
+  return { policy, problems };
+}
+
+// Read the first policy.json that exists for appId. Returns { policy, problems }.
+function loadPolicy(appId) {
+  for (const file of policyPaths(appId)) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch {
+      continue;
+    }
+    let result;
+    try {
+      result = parsePolicy(JSON.parse(raw));
+    } catch (err) {
+      result = { policy: emptyPolicy(), problems: [`not valid JSON (${err.message}) - ignored.`] };
+    }
+    result.policy.file = file;
+    result.problems = result.problems.map((p) => `${file}: ${p}`);
+    return result;
+  }
+  return { policy: emptyPolicy(), problems: [] };
+}
+
+// The firewall list the policy pins for service `id` (null in a plain
+// wrapper), or null when it pins none.
+function pinnedHosts(policy, id) {
+  if (!policy.allowedHosts) return null;
+  return policy.allowedHosts[id] || policy.allowedHosts['*'] || null;
+}
+
+// The settings in force: the user's, with every locked value laid over them.
+function lockSettings(userSettings, policy) {
+  return {
+    ...userSettings,
+    ...policy.settings,
+    shortcuts: { ...userSettings.shortcuts, ...policy.shortcuts },
+  };
+}
+
+// Locked keys as the settings window names them ("askWhereToSave",
+// "shortcuts.devtools").
+function lockedSettingKeys(policy) {
+  return [
+    ...Object.keys(policy.settings),
+    ...Object.keys(policy.shortcuts).map((id) => `shortcuts.${id}`),
+  ];
+}
+
+module.exports = {
+  POLICY_FILE,
+  loadPolicy,
+  lockSettings,
+  lockedSettingKeys,
+  parsePolicy,
+  pinnedHosts,
+  policyPaths,
+};
@@ -0,0 +1,348 @@
+// profile.js — per-app profile loading for the shared wrapper runtime.
+//
+// profile.json (next to package.json in each *-linux-flatpak directory) is the
+// ONLY per-app input to the runtime. Retargeting a wrapper means writing a
+// profile, the identity fields in package.json and the icon. Nothing in
+// shared/ mentions a site.
+//
+// Plain Node, no Electron: the scaffolding tooling validates profiles with the
+// same code the app uses at startup.
+//
+//   title         Window/taskbar title, and the fallback until the page
+//                 supplies its own.
+//   appId         The flatpak app id, the same as build.appId in package.json.
+//                 Keys the admin policy (policy.js): the packaged package.json
+//                 loses its `build` section, profile.json ships as is.
+//   homeUrl       First page on a cold start, and the fallback when there is
+//                 no restore state. MUST satisfy the allowlist - see
+//                 profileProblems().
+//   allowedHosts  THE FIREWALL: hosts that may make network requests.
+//                 A URL matches if it is https AND its host equals an entry or
+//                 is a subdomain of one. Third-party CDN, captcha and auth
+//                 hosts the site depends on MUST be listed, or their requests
+//                 are cancelled and the page silently half-loads. Entries may
+//                 also be narrower rules - exact hosts, path prefixes, resource
+//                 types - or deny rules; see rules.js.
+//   inAppHosts    THE IN-APP ALLOWLIST: hosts whose pages may be top-level
+//                 documents in the app window (navigations, restore state,
+//                 window.open targets); any other http(s) link opens in the
+//                 system browser. Bare hosts matched like allowedHosts'
+//                 plain entries, and must lie within it. null = fall back to
+//                 allowedHosts (one list, two jobs) - set it when
+//                 allowedHosts is a whole provider domain whose other apps
+//                 (mail, drive) should not open in here.
+//   trustedHosts  Hosts allowed to ASK for camera / microphone / clipboard /
+//                 fullscreen. Deliberately a subset of allowedHosts: a captcha
+//                 or analytics host has no business requesting the webcam.
+//                 null = fall back to allowedHosts.
+//   requestHeaders  What requests tell the hosts they reach: Referer trimming,
+//                 client hints, headers removed per host. Optional; see
+//                 headers.js for the fields and the defaults.
+//   certificatePins  TLS public-key pins for trustedHosts, report-only or
+//                 enforced. Optional; see pins.js.
+//
+// Page scripts are not a profile field: a wrapper that needs one ships it as
+// userscripts/<name>.user.js next to profile.json (see userscripts.js).
+//
+// A SUITE profile instead hosts several wrappers' sites in one window, each in
+// its own session (the assistants build):
+//
+//   { "title": "Assistants", "appId": "io.github.you.assistants",
+//     "services": ["claude", "chatgpt", "grok", "lumo"] }
+//
+// Each service names a sibling wrapper whose profile.json is reused as is:
+// bundled under services/<id>/ in a packaged build (see build.files in the
+// suite's package.json), read from ../<id>-linux-flatpak/ in a checkout.
+const path = require('path');
+const fs = require('fs');
+
+const { isHostEntry, normalizeLoopbackOrigin, normalizeRule, ruleHosts, rulesAllow } = require('./rules');
+const { parseRequestHeaders } = require('./headers');
+const { parseCertificatePins } = require('./pins');
+
+const PROFILE_FILE = 'profile.json';
+
+// A reverse-DNS flatpak app id with at least three parts.
+function isAppId(id) {
+  return typeof id === 'string' && /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*){2,}$/.test(id);
+}
+
+function parseAppId(raw) {
+  if (raw.appId == null) return null;
+  if (!isAppId(raw.appId)) {
+    throw new Error(`[profile] "appId" ${JSON.stringify(raw.appId)} is not a reverse-DNS app id (e.g. "io.github.you.example")`);
+  }
+  return raw.appId;
+}
+
+// The bare-host matcher behind inAppHosts and trustedHosts (the firewall's
+// allowedHosts are rules, see rules.js). https-only by design: an http URL is
+// never in-app and never allowed through the firewall.
+function hostMatches(urlString, hosts) {
+  try {
+    const u = new URL(urlString);
+    if (u.protocol !== 'https:') return false;
+    const host = u.hostname.toLowerCase();
+    return hosts.some((h) => host === h || host.endsWith(`.${h}`));
+  } catch {
+    return false;
+  }
+}
+
+// A list entry in its stored form, or null when it does not belong in `field`:
+// allowedHosts takes firewall rules, the other lists bare hostnames.
+function normalizeEntry(field, h) {
+  if (field === 'allowedHosts') return normalizeRule(h);
+  const host = typeof h === 'string' ? h.trim().toLowerCase() : h;
+  return isHostEntry(host) ? host : null;
+}
+
+function entryHint(field) {
+  return field === 'allowedHosts' ? 'a hostname or firewall rule (e.g. "example.com", "!example.com/ads/")' : 'a bare hostname (e.g. "example.com")';
+}
+
+function normalizeHosts(list, field) {
+  if (!Array.isArray(list)) throw new Error(`[profile] "${field}" must be an array of hostnames`);
+  return list.map((h, i) => {
+    const entry = normalizeEntry(field, h);
+    if (!entry) throw new Error(`[profile] "${field}"[${i}] ${JSON.stringify(h)} is not ${entryHint(field)}`);
+    return entry;
+  });
+}
+
+// Parse and normalize a profile object. Throws on anything structurally wrong:
+// a wrapper with no usable profile has nothing to show.
+function parseProfile(raw, appDir) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('[profile] profile must be a JSON object');
+  }
+  if (typeof raw.title !== 'string' || !raw.title.trim()) {
+    throw new Error('[profile] "title" must be a non-empty string');
+  }
+  if (typeof raw.homeUrl !== 'string') {
+    throw new Error('[profile] "homeUrl" must be a URL string');
+  }
+
+  const appId = parseAppId(raw);
+  const allowedHosts = normalizeHosts(raw.allowedHosts, 'allowedHosts');
+  const inAppHosts = raw.inAppHosts == null ? null : normalizeHosts(raw.inAppHosts, 'inAppHosts');
+  const trustedHosts = raw.trustedHosts == null ? null : normalizeHosts(raw.trustedHosts, 'trustedHosts');
+  const requestHeaders = parseRequestHeaders(raw.requestHeaders);
+  const certificatePins = parseCertificatePins(raw.certificatePins);
+
+  // Refuse rather than ignore: silently dropping a page script would look like
+  // the site changed.
+  if (raw.pageInject != null) {
+    throw new Error(
+      `[profile] "pageInject" is no longer supported - move ${JSON.stringify(raw.pageInject)} to ` +
+      `${path.join(appDir, 'userscripts')}/<name>.user.js with a ==UserScript== header`
+    );
+  }
+
+  return {
+    title: raw.title.trim(),
+    appId,
+    homeUrl: raw.homeUrl,
+    allowedHosts,
+    inAppHosts,
+    trustedHosts,
+    requestHeaders,
+    certificatePins,
+    dir: appDir,
+  };
+}
+
+function readProfileJson(dir) {
+  const file = path.join(dir, PROFILE_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`[profile] cannot load ${file}: ${err.message}`);
+  }
+}
+
+function loadProfile(appDir) {
+  return parseProfile(readProfileJson(appDir), appDir);
+}
+
+// Where a suite finds service `id`'s wrapper directory.
+function serviceDir(appDir, id) {
+  const bundled = path.join(appDir, 'services', id);
+  if (fs.existsSync(path.join(bundled, PROFILE_FILE))) return bundled;
+  return path.join(appDir, '..', `${id}-linux-flatpak`);
+}
+
+// Load the app directory's profile as { title, appId, suite, services }. A
+// plain profile is a suite of one whose service has no id; a suite's services
+// carry their id (a partition and directory name, so a lowercase slug). The
+// app id is the suite's own, never a service's.
+function loadAppProfile(appDir) {
+  const raw = readProfileJson(appDir);
+  if (!raw || typeof raw !== 'object' || raw.services == null) {
+    const profile = parseProfile(raw, appDir);
+    return { title: profile.title, appId: profile.appId, suite: false, services: [{ id: null, ...profile }] };
+  }
+
+  if (typeof raw.title !== 'string' || !raw.title.trim()) {
+    throw new Error('[profile] "title" must be a non-empty string');
+  }
+  if (!Array.isArray(raw.services) || !raw.services.length) {
+    throw new Error('[profile] "services" must be a non-empty array of wrapper names');
+  }
+  const appId = parseAppId(raw);
+  const seen = new Set();
+  const services = raw.services.map((id, i) => {
+    if (typeof id !== 'string' || !/^[a-z0-9]+$/.test(id)) {
+      throw new Error(`[profile] "services"[${i}] ${JSON.stringify(id)} is not a wrapper name (e.g. "claude")`);
+    }
+    if (seen.has(id)) throw new Error(`[profile] "services" lists ${id} twice`);
+    seen.add(id);
+    return { id, ...loadProfile(serviceDir(appDir, id)) };
+  });
+  return { title: raw.title.trim(), appId, suite: true, services };
+}
+
+// ---------------- User host overrides ----------------
+// hosts.json in userData lets a user add or remove allowlist entries without a
+// rebuild (a CDN the site started depending on, an analytics host they would
+// rather block):
+//
+//   { "allowedHosts": { "add": ["cdn.example.com", "!claude.ai/api/event_logging/"],
+//                       "remove": ["cloudflareinsights.com"] },
+//     "inAppHosts":   { "add": [], "remove": [] },
+//     "trustedHosts": { "add": [], "remove": [] },
+//     "loopbackOrigins": ["http://127.0.0.1:3845"] }
+//
+// Every key and list is optional. Removals apply before additions, and
+// remove an allowedHosts rule by its exact text. loopbackOrigins is the user's
+// alone - no profile ships one - so it is a plain list: the local services
+// (scheme://host:port) the firewall lets the page reach (see rules.js).
+const OVERRIDE_LISTS = ['allowedHosts', 'inAppHosts', 'trustedHosts'];
+const OVERRIDE_KEYS = [...OVERRIDE_LISTS, 'loopbackOrigins'];
+
+function overrideEntries(spec, field, op, problems) {
+  const list = spec[op];
+  if (list == null) return [];
+  if (!Array.isArray(list)) {
+    problems.push(`${field}.${op} must be an array of hostnames - ignored.`);
+    return [];
+  }
+  const hosts = [];
+  list.forEach((h, i) => {
+    const entry = normalizeEntry(field, h);
+    if (entry) hosts.push(entry);
+    else problems.push(`${field}.${op}[${i}] ${JSON.stringify(h)} is not ${entryHint(field)} - ignored.`);
+  });
+  return hosts;
+}
+
+function loopbackOverrides(list, problems) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) {
+    problems.push('loopbackOrigins must be an array of origins - ignored.');
+    return [];
+  }
+  const origins = [];
+  list.forEach((o, i) => {
+    const origin = normalizeLoopbackOrigin(o);
+    if (!origin) problems.push(`loopbackOrigins[${i}] ${JSON.stringify(o)} is not a loopback origin (e.g. "http://127.0.0.1:3845") - ignored.`);
+    else if (!origins.includes(origin)) origins.push(origin);
+  });
+  return origins;
+}
+
+// Apply a parsed hosts.json to a profile's lists. Malformed entries are skipped
+// (and reported), never fatal: a typo in the override file must not stop the
+// app. Returns { allowedHosts, inAppHosts, trustedHosts, loopbackOrigins,
+// problems }.
+function applyHostOverrides(profile, overrides) {
+  const problems = [];
+  const result = {
+    allowedHosts: profile.allowedHosts,
+    inAppHosts: profile.inAppHosts,
+    trustedHosts: profile.trustedHosts,
+    loopbackOrigins: [],
+    problems,
+  };
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    problems.push('the file must contain a JSON object - ignored.');
+    return result;
+  }
+  for (const key of Object.keys(overrides)) {
+    if (!OVERRIDE_KEYS.includes(key)) problems.push(`unknown key ${JSON.stringify(key)} - ignored.`);
+  }
+
+  for (const field of OVERRIDE_LISTS) {
+    const spec = overrides[field];
+    if (spec == null) continue;
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      problems.push(`${field} must be an object with "add" and/or "remove" arrays - ignored.`);
+      continue;
+    }
+    const add = overrideEntries(spec, field, 'add', problems);
+    const remove = overrideEntries(spec, field, 'remove', problems);
+    for (const h of add) {
+      if (remove.includes(h)) problems.push(`${field}: ${h} is both added and removed - it stays added.`);
+    }
+
+    // A null inAppHosts / trustedHosts means "same as allowedHosts"; editing
+    // it starts from the plain hosts of the (already overridden) allowlist.
+    const base = result[field] || ruleHosts(result.allowedHosts);
+    for (const h of remove) {
+      if (!base.includes(h)) problems.push(`${field}.remove: ${h} is not in the list - nothing to remove.`);
+    }
+    const next = base.filter((h) => !remove.includes(h));
+    for (const h of add) if (!next.includes(h)) next.push(h);
+    result[field] = next;
+  }
+  result.loopbackOrigins = loopbackOverrides(overrides.loopbackOrigins, problems);
+  return result;
+}
+
+// Config guard. A homeUrl outside allowedHosts yields a window that opens and
+// instantly blanks (the firewall cancelling its own home page) with no other
+// clue; one outside inAppHosts bounces every in-app link back to the home
+// page out to the system browser; an in-app or trusted host the firewall never
+// lets through is a blank page / can never be asked anything. Returns
+// human-readable problems, [] when the profile is sound.
+function profileProblems(profile) {
+  const problems = [];
+  if (!rulesAllow(profile.allowedHosts, profile.homeUrl, 'mainFrame')) {
+    problems.push(
+      `homeUrl ${profile.homeUrl} is not covered by allowedHosts ` +
+      `${JSON.stringify(profile.allowedHosts)} - the app will not load.`
+    );
+  }
+  if (profile.inAppHosts && !hostMatches(profile.homeUrl, profile.inAppHosts)) {
+    problems.push(
+      `homeUrl ${profile.homeUrl} is not covered by inAppHosts ` +
+      `${JSON.stringify(profile.inAppHosts)} - links back to it open in the browser.`
+    );
+  }
+  for (const field of ['inAppHosts', 'trustedHosts']) {
+    for (const h of profile[field] || []) {
+      if (!rulesAllow(profile.allowedHosts, `https://${h}/`, 'mainFrame')) {
+        problems.push(`${field} entry ${h} is not covered by allowedHosts - the firewall blocks it.`);
+      }
+    }
+  }
+  for (const { host } of profile.certificatePins ? profile.certificatePins.pins : []) {
+    const trusted = profile.trustedHosts
+      ? hostMatches(`https://${host}/`, profile.trustedHosts)
+      : rulesAllow(profile.allowedHosts, `https://${host}/`, 'mainFrame');
+    if (!trusted) problems.push(`certificatePins entry ${host} is not a trusted host - its pins are ignored.`);
+  }
+  return problems;
+}
+
+module.exports = {
+  PROFILE_FILE,
+  applyHostOverrides,
+  hostMatches,
+  isAppId,
+  isHostEntry,
+  loadAppProfile,
+  loadProfile,
+  parseProfile,
+  profileProblems,
+};
@@ -0,0 +1,17 @@
+// proxy-error.js — fills in proxy-error.html from its query (set by main.js's
+// showProxyError). "Try again" is a plain link back to the page that failed,
+// so it is judged like any other navigation.
+(function () {
+  var params = new URLSearchParams(location.search);
+  var proxy = params.get('proxy');
+  var error = params.get('error');
+  var url = params.get('url');
+
+  if (proxy) document.getElementById('proxy').textContent = proxy;
+  if (error) document.getElementById('error').textContent = error;
+  if (url && url.indexOf('https://') === 0) {
+    var retry = document.getElementById('retry');
+    retry.href = url;
+    retry.hidden = false;
+  }
+})();
@@ -0,0 +1,211 @@
+// rules.js — the firewall's rule language for the shared wrapper runtime.
+//
+// Every allowedHosts entry (profile.json, hosts.json, policy.json) is a rule:
+//
+//   example.com                 example.com and every subdomain (as always)
+//   =example.com                example.com only, not its subdomains
+//   *.example.com               subdomains only, not example.com itself
+//   example.com/static/         only paths starting with /static/
+//   example.com$image,font      only those resource types
+//   !example.com/analytics/     DENY: blocked even when another rule allows it
+//
+// The parts combine in that order: `!`, then `=` or `*.`, the host, an
+// optional path prefix, an optional `$` type list (e.g. "!=cdn.example.com/ads$script").
+// A request gets through only over https, when some allow rule matches it and
+// no deny rule does - deny always wins, wherever it sits in the list.
+//
+// Resource types are Electron's webRequest names (see FIREWALL_RESOURCE_TYPES),
+// matched case-insensitively. Paths are matched case-sensitively against the
+// URL's path, without the query, after both are normalized (normalizePath) -
+// otherwise "//api/" or "/%61pi/" would walk round a deny rule for "/api/".
+//
+// Loopback addresses (localhost, 127.0.0.0/8, [::1], and the IPv4-mapped
+// [::ffff:127.x.x.x] and [::ffff:0.0.0.0]) are outside the rules
+// altogether: the firewall blocks them all, over any scheme, except the exact
+// origins in a service's loopbackOrigins (hosts.json, see profile.js) - a
+// local MCP bridge or tool server the user chose to let the page reach:
+//
+//   "loopbackOrigins": ["http://127.0.0.1:3845", "ws://localhost:8765"]
+//
+// Plain Node, no Electron.
+
+// A bare hostname: no scheme, path, port or wildcard. The plain rule already
+// covers subdomains, so '*.example.com' is only needed to leave the apex out.
+function isHostEntry(h) {
+  return typeof h === 'string' && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(h);
+}
+
+const FIREWALL_RESOURCE_TYPES = [
+  'mainFrame', 'subFrame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xhr', 'ping', 'cspReport', 'media', 'webSocket', 'other',
+];
+const TYPE_NAMES = new Map(FIREWALL_RESOURCE_TYPES.map((t) => [t.toLowerCase(), t]));
+
+// The spelling a server treats as the same path: runs of '/' collapsed, and
+// escaped unreserved characters (letters, digits, - . _ ~) decoded, the other
+// escapes uppercased. Dot segments are already resolved by URL parsing.
+function normalizePath(pathname) {
+  return pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+      const ch = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9\-._~]/.test(ch) ? ch : `%${hex.toUpperCase()}`;
+    });
+}
+
+// Returns { deny, match: 'tree'|'exact'|'subdomains', host, path, types }, or
+// null when the entry is not a rule.
+function parseRule(entry) {
+  if (typeof entry !== 'string') return null;
+  let rest = entry.trim();
+  const rule = { deny: false, match: 'tree', host: '', path: null, types: null };
+
+  if (rest.startsWith('!')) { rule.deny = true; rest = rest.slice(1); }
+  if (rest.startsWith('=')) { rule.match = 'exact'; rest = rest.slice(1); }
+  else if (rest.startsWith('*.')) { rule.match = 'subdomains'; rest = rest.slice(2); }
+
+  const dollar = rest.indexOf('$');
+  if (dollar !== -1) {
+    const types = rest.slice(dollar + 1).split(',').map((t) => TYPE_NAMES.get(t.trim().toLowerCase()));
+    if (!types.length || types.includes(undefined)) return null;
+    rule.types = [...new Set(types)];
+    rest = rest.slice(0, dollar);
+  }
+
+  const slash = rest.indexOf('/');
+  if (slash !== -1) {
+    rule.path = normalizePath(rest.slice(slash));
+    rest = rest.slice(0, slash);
+    if (/[\s?#]/.test(rule.path)) return null;
+  }
+
+  rule.host = rest.toLowerCase();
+  return isHostEntry(rule.host) ? rule : null;
+}
+
+// The canonical spelling of a rule (host lowercased, types in their Electron
+// spelling), or null when the entry is not a rule. Lists store this, so
+// hosts.json can add and remove entries by string.
+function normalizeRule(entry) {
+  const rule = parseRule(entry);
+  if (!rule) return null;
+  return (rule.deny ? '!' : '')
+    + (rule.match === 'exact' ? '=' : rule.match === 'subdomains' ? '*.' : '')
+    + rule.host
+    + (rule.path || '')
+    + (rule.types ? `$${rule.types.join(',')}` : '');
+}
+
+function ruleMatches(rule, host, pathname, resourceType) {
+  if (rule.match === 'exact' && host !== rule.host) return false;
+  if (rule.match === 'subdomains' && !host.endsWith(`.${rule.host}`)) return false;
+  if (rule.match === 'tree' && host !== rule.host && !host.endsWith(`.${rule.host}`)) return false;
+  if (rule.path && !pathname.startsWith(rule.path)) return false;
+  if (rule.types && !rule.types.includes(resourceType || 'other')) return false;
+  return true;
+}
+
+// Lists are parsed once per array: the firewall sees every request, and a list
+// only changes by being replaced.
+const compiled = new WeakMap();
+
+function compileRules(list) {
+  let rules = compiled.get(list);
+  if (!rules) {
+    rules = list.map((entry) => ({ entry, rule: parseRule(entry) })).filter((r) => r.rule);
+    compiled.set(list, rules);
+  }
+  return rules;
+}
+
+// The firewall's verdict on one request: { allowed, deniedBy } where deniedBy
+// is the deny rule that blocked it (null when nothing allowed it to begin with).
+function firewallVerdict(list, urlString, resourceType) {
+  let u;
+  try {
+    u = new URL(urlString);
+  } catch {
+    return { allowed: false, deniedBy: null };
+  }
+  if (u.protocol !== 'https:') return { allowed: false, deniedBy: null };
+  const host = u.hostname.toLowerCase();
+  const pathname = normalizePath(u.pathname);
+  let allowed = false;
+  for (const { entry, rule } of compileRules(list)) {
+    if (!ruleMatches(rule, host, pathname, resourceType)) continue;
+    if (rule.deny) return { allowed: false, deniedBy: entry };
+    allowed = true;
+  }
+  return { allowed, deniedBy: null };
+}
+
+// Every loopback name and address, including the unspecified ones that also
+// reach this machine. URL parsing writes an IPv4-mapped address in hex, so
+// [::ffff:127.0.0.1] arrives as [::ffff:7f00:1] and [::ffff:0.0.0.0] as
+// [::ffff:0:0].
+function isLoopbackHost(hostname) {
+  const host = String(hostname).toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || /^127\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(host)
+    || host === '[::1]' || host === '0.0.0.0' || host === '[::]'
+    || /^\[::ffff:7f[0-9a-f]{2}:[0-9a-f]{1,4}\]$/.test(host) || host === '[::ffff:0:0]';
+}
+
+const LOOPBACK_DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' };
+
+// A loopback URL's origin as loopbackOrigins spells it - scheme://host:port,
+// the port always written out - or null for anything else.
+function loopbackOrigin(urlString) {
+  let u;
+  try {
+    u = new URL(urlString);
+  } catch {
+    return null;
+  }
+  if (!Object.hasOwn(LOOPBACK_DEFAULT_PORTS, u.protocol) || !isLoopbackHost(u.hostname)) return null;
+  return `${u.protocol}//${u.hostname}:${u.port || LOOPBACK_DEFAULT_PORTS[u.protocol]}`;
+}
+
+// A loopbackOrigins entry in its stored form, or null when it is not a bare
+// http(s) / ws(s) loopback origin (no path, query or credentials).
+function normalizeLoopbackOrigin(entry) {
+  if (typeof entry !== 'string') return null;
+  let u;
+  try {
+    u = new URL(entry.trim());
+  } catch {
+    return null;
+  }
+  if (u.username || u.password || u.search || u.hash || u.pathname !== '/') return null;
+  return loopbackOrigin(u.href);
+}
+
+function rulesAllow(list, urlString, resourceType) {
+  return firewallVerdict(list, urlString, resourceType).allowed;
+}
+
+// The hosts a rule list allows whole, as bare entries - the starting point
+// when an unset inAppHosts / trustedHosts is edited in hosts.json. Only plain
+// rules qualify: a bare entry covers the host and every subdomain for
+// anything, so seeding one from "*.x.com", "=x.com", "x.com/static/" or
+// "x.com$image" would trust far more than the rule allows.
+function ruleHosts(list) {
+  const hosts = [];
+  for (const { rule } of compileRules(list)) {
+    if (rule.deny || rule.match !== 'tree' || rule.path || rule.types) continue;
+    if (!hosts.includes(rule.host)) hosts.push(rule.host);
+  }
+  return hosts;
+}
+
+module.exports = {
+  FIREWALL_RESOURCE_TYPES,
+  firewallVerdict,
+  isHostEntry,
+  isLoopbackHost,
+  loopbackOrigin,
+  normalizeLoopbackOrigin,
+  normalizeRule,
+  parseRule,
+  ruleHosts,
+  rulesAllow,
+};
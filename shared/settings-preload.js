@@ -0,0 +1,14 @@
+// settings-preload.js — bridge for the local settings window (settings.html).
+// main.js owns settings.json: it pushes the current values here and validates
+// whatever comes back before saving. Mirrors switcher-preload.js.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('llSettings', {
+  save: (values) => ipcRenderer.send('ll-settings-save', values),
+  close: () => ipcRenderer.send('ll-settings-close'),
+  onState: (cb) => {
+    ipcRenderer.on('ll-settings-state', (_event, state) => cb(state));
+    // Ask main for the current settings once the listener exists.
+    ipcRenderer.send('ll-settings-ready');
+  },
+});
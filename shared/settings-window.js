@@ -0,0 +1,197 @@
+// settings-window.js — UI logic for the settings window (settings.html).
+// Renders whatever main.js pushes and sends the whole form back on Save; main
+// validates it and answers with the saved state plus any problems.
+(function () {
+  var api = window.llSettings || { save: function () {}, close: function () {}, onState: function () {} };
+
+  var langsEl = document.getElementById('spellcheckLanguages');
+  var askEl = document.getElementById('askWhereToSave');
+  var stallEl = document.getElementById('downloadStallSeconds');
+  var restartsEl = document.getElementById('downloadMaxRestarts');
+  var wsEl = document.getElementById('webSocketFilter');
+  var imagesEl = document.getElementById('openImages');
+  var proxyModeEl = document.getElementById('proxyMode');
+  var proxyServerEl = document.getElementById('proxyServer');
+  var proxyPacUrlEl = document.getElementById('proxyPacUrl');
+  var auditEl = document.getElementById('firewallAuditLog');
+  var cookiesEl = document.getElementById('blockUntrustedCookies');
+  var clearEl = document.getElementById('clearUntrustedDataOnQuit');
+  var shortcutsEl = document.getElementById('shortcuts');
+  var problemsEl = document.getElementById('problems');
+  var statusEl = document.getElementById('status');
+
+  var state = null;
+  var shortcutInputs = {}; // action id -> input
+
+  // ---- Key capture → accelerator string (the format settings.json uses) ----
+  var KEY_NAMES = { ArrowLeft: 'Left', ArrowRight: 'Right', ArrowUp: 'Up', ArrowDown: 'Down', ' ': 'Space', '+': 'Plus' };
+  var MODIFIER_KEYS = { Control: 1, Shift: 1, Alt: 1, Meta: 1, AltGraph: 1 };
+
+  function accelerator(e) {
+    if (MODIFIER_KEYS[e.key]) return null;
+    var parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.altKey) parts.push('Alt');
+    var key = KEY_NAMES[e.key] || (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  function buildShortcutRows(actions) {
+    shortcutsEl.textContent = '';
+    shortcutInputs = {};
+    actions.forEach(function (a) {
+      var tr = document.createElement('tr');
+      var label = document.createElement('td');
+      label.textContent = a.label;
+      var cell = document.createElement('td');
+      cell.className = 'key';
+      var input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.placeholder = 'Off';
+      input.addEventListener('keydown', function (e) {
+        // Plain Tab / Shift+Tab still move between fields.
+        if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+        e.preventDefault();
+        e.stopPropagation();
+        var plain = !e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey;
+        if (plain && (e.key === 'Backspace' || e.key === 'Delete')) { input.value = ''; markChanged(); return; }
+        if (plain && e.key === 'Escape') { input.blur(); return; }
+        var accel = accelerator(e);
+        if (accel) { input.value = accel; markChanged(); }
+      });
+      shortcutInputs[a.id] = input;
+      cell.appendChild(input);
+      tr.appendChild(label);
+      tr.appendChild(cell);
+      shortcutsEl.appendChild(tr);
+    });
+  }
+
+  function fill(values) {
+    langsEl.value = values.spellcheckLanguages.join(', ');
+    askEl.checked = !!values.askWhereToSave;
+    stallEl.value = values.downloadStallSeconds;
+    restartsEl.value = values.downloadMaxRestarts;
+    wsEl.value = values.webSocketFilter;
+    imagesEl.value = values.openImages;
+    proxyModeEl.value = values.proxyMode;
+    proxyServerEl.value = values.proxyServer;
+    proxyPacUrlEl.value = values.proxyPacUrl;
+    auditEl.checked = !!values.firewallAuditLog;
+    cookiesEl.checked = !!values.blockUntrustedCookies;
+    clearEl.checked = !!values.clearUntrustedDataOnQuit;
+    Object.keys(shortcutInputs).forEach(function (id) {
+      shortcutInputs[id].value = values.shortcuts[id] || '';
+    });
+    markChanged();
+  }
+
+  function collect() {
+    var shortcuts = {};
+    Object.keys(shortcutInputs).forEach(function (id) { shortcuts[id] = shortcutInputs[id].value; });
+    return {
+      version: state.settings.version,
+      spellcheckLanguages: langsEl.value.split(',').map(function (s) { return s.trim(); }).filter(Boolean),
+      askWhereToSave: askEl.checked,
+      downloadStallSeconds: Number(stallEl.value),
+      downloadMaxRestarts: Number(restartsEl.value),
+      webSocketFilter: wsEl.value,
+      openImages: imagesEl.value,
+      proxyMode: proxyModeEl.value,
+      proxyServer: proxyServerEl.value.trim(),
+      proxyPacUrl: proxyPacUrlEl.value.trim(),
+      firewallAuditLog: auditEl.checked,
+      blockUntrustedCookies: cookiesEl.checked,
+      clearUntrustedDataOnQuit: clearEl.checked,
+      shortcuts: shortcuts,
+    };
+  }
+
+  // Highlight fields that differ from what is saved, and say whether anything does.
+  function markChanged() {
+    if (!state) return;
+    var saved = state.settings;
+    var now = collect();
+    var dirty = false;
+    function mark(el, changed) { el.classList.toggle('changed', changed); if (changed) dirty = true; }
+    mark(langsEl, now.spellcheckLanguages.join(',') !== saved.spellcheckLanguages.join(','));
+    mark(stallEl, now.downloadStallSeconds !== saved.downloadStallSeconds);
+    mark(restartsEl, now.downloadMaxRestarts !== saved.downloadMaxRestarts);
+    mark(wsEl, now.webSocketFilter !== saved.webSocketFilter);
+    mark(imagesEl, now.openImages !== saved.openImages);
+    mark(proxyModeEl, now.proxyMode !== saved.proxyMode);
+    mark(proxyServerEl, now.proxyServer !== saved.proxyServer);
+    mark(proxyPacUrlEl, now.proxyPacUrl !== saved.proxyPacUrl);
+    // Only the address the chosen mode uses is shown.
+    document.getElementById('proxyServerRow').hidden = now.proxyMode !== 'fixed';
+    document.getElementById('proxyPacUrlRow').hidden = now.proxyMode !== 'pac';
+    if (now.askWhereToSave !== saved.askWhereToSave) dirty = true;
+    if (now.firewallAuditLog !== saved.firewallAuditLog) dirty = true;
+    if (now.blockUntrustedCookies !== saved.blockUntrustedCookies) dirty = true;
+    if (now.clearUntrustedDataOnQuit !== saved.clearUntrustedDataOnQuit) dirty = true;
+    Object.keys(shortcutInputs).forEach(function (id) {
+      mark(shortcutInputs[id], now.shortcuts[id] !== (saved.shortcuts[id] || ''));
+    });
+    statusEl.textContent = dirty ? 'Unsaved changes' : '';
+  }
+
+  [langsEl, askEl, stallEl, restartsEl, wsEl, imagesEl, proxyModeEl, proxyServerEl, proxyPacUrlEl, auditEl, cookiesEl, clearEl].forEach(function (el) {
+    el.addEventListener('input', markChanged);
+    el.addEventListener('change', markChanged);
+  });
+
+  document.getElementById('save').addEventListener('click', function () {
+    if (state) api.save(collect());
+  });
+  document.getElementById('defaults').addEventListener('click', function () {
+    if (state) fill(state.defaults); // not saved until Save
+  });
+  document.getElementById('close').addEventListener('click', function () { api.close(); });
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') { e.preventDefault(); api.close(); }
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && state) { e.preventDefault(); api.save(collect()); }
+  });
+
+  // Keys the admin policy locks: shown with their enforced value, not editable.
+  function applyLocks(locked) {
+    var fields = {
+      spellcheckLanguages: langsEl,
+      askWhereToSave: askEl,
+      downloadStallSeconds: stallEl,
+      downloadMaxRestarts: restartsEl,
+      webSocketFilter: wsEl,
+      openImages: imagesEl,
+      proxyMode: proxyModeEl,
+      proxyServer: proxyServerEl,
+      proxyPacUrl: proxyPacUrlEl,
+      firewallAuditLog: auditEl,
+      blockUntrustedCookies: cookiesEl,
+      clearUntrustedDataOnQuit: clearEl,
+    };
+    Object.keys(shortcutInputs).forEach(function (id) { fields['shortcuts.' + id] = shortcutInputs[id]; });
+    locked.forEach(function (key) {
+      var el = fields[key];
+      if (!el) return;
+      el.disabled = true;
+      el.title = 'Set by your administrator';
+    });
+    if (locked.length) document.getElementById('lockedHint').hidden = false;
+  }
+
+  api.onState(function (next) {
+    var first = !state;
+    state = next;
+    if (first) {
+      buildShortcutRows(next.actions);
+      applyLocks(next.locked);
+      document.getElementById('languages').textContent = next.languages.length ? next.languages.join(', ') : 'Unknown';
+      if (next.suite) document.getElementById('suiteHint').textContent = ' Ctrl+1 to Ctrl+9 always switch services.';
+    }
+    fill(next.settings);
+    problemsEl.textContent = next.problems.join('\n');
+    if (!first) statusEl.textContent = next.problems.length ? 'Saved with problems' : 'Saved';
+  });
+})();
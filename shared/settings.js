@@ -0,0 +1,331 @@
+// settings.js — user preferences for the shared wrapper runtime.
+//
+// settings.json in userData (one per app, shared by a suite's services) holds
+// what used to be fixed in code. The settings window (settings.html) edits it;
+// the file can also be edited by hand while the app is closed:
+//
+//   { "version": 1,
+//     "spellcheckLanguages": ["en-US"],
+//     "askWhereToSave": true,
+//     "downloadStallSeconds": 15,
+//     "downloadMaxRestarts": 10,
+//     "webSocketFilter": "off",
+//     "openImages": "off",
+//     "firewallAuditLog": true,
+//     "proxyMode": "fixed", "proxyServer": "socks5://proxy.example:1080", "proxyPacUrl": "",
+//     "blockUntrustedCookies": true,
+//     "clearUntrustedDataOnQuit": false,
+//     "shortcuts": { "reload": "Ctrl+R", "devtools": "" } }
+//
+// Every key is optional; a missing or invalid value falls back to its default
+// (and is reported), so a typo never stops the app. A shortcut set to "" is
+// turned off. `version` lets a later layout migrate older files (MIGRATIONS).
+//
+// Plain Node, no Electron.
+const path = require('path');
+const fs = require('fs');
+
+const SETTINGS_FILE = 'settings.json';
+const SETTINGS_VERSION = 1;
+
+// Rebindable actions, in the order the settings window lists them. The suite's
+// Ctrl+1..9 service keys and the pop-ups' Esc are fixed.
+const SHORTCUT_ACTIONS = [
+  { id: 'quit', label: 'Quit', default: 'Ctrl+Q' },
+  { id: 'closePage', label: 'Close page', default: 'Ctrl+W' },
+  { id: 'reload', label: 'Reload', default: 'Ctrl+R' },
+  { id: 'hardReload', label: 'Reload ignoring cache', default: 'Ctrl+Shift+R' },
+  { id: 'back', label: 'Back', default: 'Alt+Left' },
+  { id: 'forward', label: 'Forward', default: 'Alt+Right' },
+  { id: 'fullscreen', label: 'Fullscreen', default: 'F11' },
+  { id: 'devtools', label: 'Developer tools', default: 'Ctrl+Shift+I' },
+  { id: 'toggleUserStyles', label: 'Toggle user styles', default: 'Ctrl+Shift+U' },
+  { id: 'settings', label: 'Settings', default: 'Ctrl+,' },
+  { id: 'firewall', label: 'Firewall activity', default: 'Ctrl+Shift+F' },
+  { id: 'traffic', label: 'Network traffic', default: 'Ctrl+Shift+T' },
+];
+
+// ---------------- Shortcuts ----------------
+// Electron-style accelerators ("Ctrl+Shift+R", "Alt+Left", "F11"), matched
+// against before-input-event input. Ctrl also matches Meta, as the hard-coded
+// shortcuts always did. Modifiers must match exactly: Ctrl+R is not Ctrl+Shift+R.
+const NAMED_KEYS = {
+  left: 'arrowleft', right: 'arrowright', up: 'arrowup', down: 'arrowdown',
+  plus: '+', space: ' ', esc: 'escape', escape: 'escape', enter: 'enter', return: 'enter',
+  tab: 'tab', backspace: 'backspace', delete: 'delete', insert: 'insert',
+  home: 'home', end: 'end', pageup: 'pageup', pagedown: 'pagedown',
+};
+const MODIFIERS = {
+  ctrl: 'ctrl', control: 'ctrl', cmdorctrl: 'ctrl', commandorcontrol: 'ctrl',
+  shift: 'shift', alt: 'alt',
+};
+
+// Returns { ctrl, shift, alt, key } (key as input.key lowercased), or null when
+// the string is not an accelerator.
+function parseAccelerator(accel) {
+  if (typeof accel !== 'string' || !accel.trim()) return null;
+  // '+' separates parts, so a trailing "++" means the plus key itself.
+  const parts = accel.trim().replace(/\+\+$/, '+Plus').split('+').map((p) => p.trim());
+  const keyName = parts.pop();
+  const shortcut = { ctrl: false, shift: false, alt: false, key: null };
+  for (const p of parts) {
+    const mod = MODIFIERS[p.toLowerCase()];
+    if (!mod || shortcut[mod]) return null;
+    shortcut[mod] = true;
+  }
+  const lower = (keyName || '').toLowerCase();
+  if (NAMED_KEYS[lower]) shortcut.key = NAMED_KEYS[lower];
+  else if (/^f([1-9]|1[0-9]|2[0-4])$/.test(lower)) shortcut.key = lower;
+  else if ([...keyName].length === 1 && keyName !== ' ') shortcut.key = lower;
+  else return null;
+  return shortcut;
+}
+
+function matchesShortcut(shortcut, input) {
+  if (!shortcut) return false;
+  return (input.key || '').toLowerCase() === shortcut.key
+    && !!(input.control || input.meta) === shortcut.ctrl
+    && !!input.shift === shortcut.shift
+    && !!input.alt === shortcut.alt;
+}
+
+// ---------------- Proxy values ----------------
+// One server, "[scheme://]host:port" with scheme http (the default), https,
+// socks4 or socks5; stored with its scheme spelled out. '' = none set.
+function checkProxyServer(v) {
+  if (typeof v !== 'string') return undefined;
+  const s = v.trim();
+  if (!s) return '';
+  const m = /^(?:(http|https|socks4|socks5):\/\/)?([A-Za-z0-9.-]+|\[[0-9A-Fa-f:.]+\]):(\d{1,5})$/i.exec(s);
+  if (!m || Number(m[3]) < 1 || Number(m[3]) > 65535) return undefined;
+  return `${(m[1] || 'http').toLowerCase()}://${m[2]}:${m[3]}`;
+}
+
+// A PAC script's address: http(s) or a local file. '' = none set.
+function checkPacUrl(v) {
+  if (typeof v !== 'string') return undefined;
+  const s = v.trim();
+  if (!s) return '';
+  try {
+    return ['http:', 'https:', 'file:'].includes(new URL(s).protocol) ? s : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// ---------------- Schema ----------------
+// Each key: its default and a check returning the normalized value, or
+// undefined when the value is unusable.
+const SCHEMA = {
+  spellcheckLanguages: {
+    default: ['en-US'],
+    check: (v) => (Array.isArray(v) && v.every((l) => typeof l === 'string' && /^[A-Za-z]{2,3}(-[A-Za-z0-9]+)*$/.test(l))
+      ? [...new Set(v)] : undefined),
+    hint: 'a list of language codes such as "en-US" (empty = spellcheck off)',
+  },
+  askWhereToSave: {
+    default: true,
+    check: (v) => (typeof v === 'boolean' ? v : undefined),
+    hint: 'true or false',
+  },
+  downloadStallSeconds: {
+    default: 15,
+    check: (v) => (Number.isInteger(v) && v >= 5 && v <= 600 ? v : undefined),
+    hint: 'a whole number of seconds from 5 to 600',
+  },
+  downloadMaxRestarts: {
+    default: 10,
+    check: (v) => (Number.isInteger(v) && v >= 0 && v <= 100 ? v : undefined),
+    hint: 'a whole number from 0 to 100',
+  },
+  // WebSockets and the firewall: "off" lets every ws/wss connection through
+  // (the long-standing behaviour), "report" still does but logs what "strict"
+  // would stop, "strict" holds wss to allowedHosts and refuses plain ws.
+  webSocketFilter: {
+    default: 'off',
+    check: (v) => (['off', 'report', 'strict'].includes(v) ? v : undefined),
+    hint: '"off", "report" or "strict"',
+  },
+  // The image tier (main.js, Domain policy): "images" lets pictures from any
+  // https host through the firewall, anonymously; "media" audio and video too.
+  openImages: {
+    default: 'off',
+    check: (v) => (['off', 'images', 'media'].includes(v) ? v : undefined),
+    hint: '"off", "images" or "media"',
+  },
+  // How the services reach the network (main.js, Proxy): "system" is whatever
+  // the desktop or the environment says, "fixed" is proxyServer, "pac" the
+  // script at proxyPacUrl.
+  proxyMode: {
+    default: 'system',
+    check: (v) => (['system', 'fixed', 'pac'].includes(v) ? v : undefined),
+    hint: '"system", "fixed" or "pac"',
+  },
+  proxyServer: {
+    default: '',
+    check: checkProxyServer,
+    hint: 'a proxy such as "proxy.example:3128" or "socks5://proxy.example:1080"',
+  },
+  proxyPacUrl: {
+    default: '',
+    check: checkPacUrl,
+    hint: 'an http(s) or file address of a PAC script',
+  },
+  // The firewall's NDJSON audit log (audit.js); off stops new entries, the
+  // files already written stay.
+  firewallAuditLog: {
+    default: true,
+    check: (v) => (typeof v === 'boolean' ? v : undefined),
+    hint: 'true or false',
+  },
+  // Cookies from hosts outside trustedHosts (main.js, Cookie policy): refused
+  // as they arrive, and optionally swept out with their storage on quit.
+  blockUntrustedCookies: {
+    default: true,
+    check: (v) => (typeof v === 'boolean' ? v : undefined),
+    hint: 'true or false',
+  },
+  clearUntrustedDataOnQuit: {
+    default: false,
+    check: (v) => (typeof v === 'boolean' ? v : undefined),
+    hint: 'true or false',
+  },
+};
+
+// One setting's normalized value, or undefined when the key is not a setting
+// (shortcuts included: those go through parseAccelerator) or the value is unusable.
+function checkSetting(key, value) {
+  const spec = SCHEMA[key];
+  return spec ? spec.check(value) : undefined;
+}
+
+function defaultShortcuts() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, a.default]));
+}
+
+function defaultSettings() {
+  const settings = { version: SETTINGS_VERSION };
+  for (const [key, spec] of Object.entries(SCHEMA)) settings[key] = structuredClone(spec.default);
+  settings.shortcuts = defaultShortcuts();
+  return settings;
+}
+
+// Upgrades from version N to N+1, indexed by N. Version 0 is a file from
+// before versioning (none exist yet, so nothing to change).
+const MIGRATIONS = [
+  (raw) => raw,
+];
+
+// Validate and complete a parsed settings object. Never throws: returns
+// { settings, problems } where settings is always complete and usable.
+function normalizeSettings(raw) {
+  const problems = [];
+  const settings = defaultSettings();
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('settings must be a JSON object - using defaults.');
+    return { settings, problems };
+  }
+
+  let version = raw.version == null ? 0 : raw.version;
+  if (!Number.isInteger(version) || version < 0) {
+    problems.push(`version ${JSON.stringify(raw.version)} is not a version number - read as ${SETTINGS_VERSION}.`);
+    version = SETTINGS_VERSION;
+  }
+  if (version > SETTINGS_VERSION) {
+    problems.push(`written by a newer version (${version}); settings this one does not know are dropped on save.`);
+  }
+  for (; version < SETTINGS_VERSION; version++) raw = MIGRATIONS[version](raw);
+
+  for (const key of Object.keys(raw)) {
+    if (key !== 'version' && key !== 'shortcuts' && !SCHEMA[key]) problems.push(`unknown setting ${JSON.stringify(key)} - ignored.`);
+  }
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (raw[key] === undefined) continue;
+    const value = spec.check(raw[key]);
+    if (value === undefined) problems.push(`${key} must be ${spec.hint} - using ${JSON.stringify(spec.default)}.`);
+    else settings[key] = value;
+  }
+
+  const shortcuts = raw.shortcuts;
+  if (shortcuts != null && (typeof shortcuts !== 'object' || Array.isArray(shortcuts))) {
+    problems.push('shortcuts must be an object of action: accelerator - using the defaults.');
+  } else if (shortcuts) {
+    for (const [id, accel] of Object.entries(shortcuts)) {
+      if (!SHORTCUT_ACTIONS.some((a) => a.id === id)) {
+        problems.push(`shortcuts: unknown action ${JSON.stringify(id)} - ignored.`);
+      } else if (accel === '' || accel === null) {
+        settings.shortcuts[id] = '';
+      } else if (!parseAccelerator(accel)) {
+        problems.push(`shortcuts.${id} ${JSON.stringify(accel)} is not a shortcut (e.g. "Ctrl+Shift+R") - using ${settings.shortcuts[id]}.`);
+      } else {
+        settings.shortcuts[id] = accel.trim();
+      }
+    }
+  }
+  problems.push(...shortcutConflicts(settings.shortcuts));
+  problems.push(...proxyConflicts(settings));
+  return { settings, problems };
+}
+
+// A proxy mode without its address falls back to the system settings.
+function proxyConflicts(settings) {
+  const missing = settings.proxyMode === 'fixed' && !settings.proxyServer ? 'proxyServer'
+    : settings.proxyMode === 'pac' && !settings.proxyPacUrl ? 'proxyPacUrl' : null;
+  if (!missing) return [];
+  const mode = settings.proxyMode;
+  settings.proxyMode = 'system';
+  return [`proxyMode "${mode}" needs ${missing} - using "system".`];
+}
+
+// Two actions on one key: the first in SHORTCUT_ACTIONS order wins.
+function shortcutConflicts(shortcuts) {
+  const problems = [];
+  const seen = new Map();
+  for (const { id } of SHORTCUT_ACTIONS) {
+    const s = parseAccelerator(shortcuts[id]);
+    if (!s) continue;
+    const sig = `${s.ctrl}${s.shift}${s.alt}${s.key}`;
+    if (seen.has(sig)) problems.push(`shortcuts: ${id} and ${seen.get(sig)} are both ${shortcuts[id]} - only ${seen.get(sig)} works.`);
+    else seen.set(sig, id);
+  }
+  return problems;
+}
+
+// Read dir/settings.json. A missing file is the defaults, silently.
+function loadSettings(dir) {
+  const file = path.join(dir, SETTINGS_FILE);
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch {
+    return { settings: defaultSettings(), problems: [] };
+  }
+  try {
+    return normalizeSettings(JSON.parse(raw));
+  } catch (err) {
+    return { settings: defaultSettings(), problems: [`not valid JSON (${err.message}) - using defaults.`] };
+  }
+}
+
+// Write via a temp file + rename: a crash mid-write must not leave a truncated
+// file that resets every preference on the next start.
+function saveSettings(dir, settings) {
+  const file = path.join(dir, SETTINGS_FILE);
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify({ ...settings, version: SETTINGS_VERSION }, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  SETTINGS_FILE,
+  SETTINGS_VERSION,
+  SHORTCUT_ACTIONS,
+  checkSetting,
+  defaultSettings,
+  loadSettings,
+  matchesShortcut,
+  normalizeSettings,
+  parseAccelerator,
+  saveSettings,
+};
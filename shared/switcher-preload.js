@@ -0,0 +1,14 @@
+// switcher-preload.js — bridge for the local service switcher strip
+// (switcher.html). The strip is a WebContentsView pinned to the top of a suite's
+// window; main.js owns the service list and pushes state here, and the strip
+// sends back which service to show. Mirrors downloadbar-preload.js.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('llSW', {
+  select: (id) => ipcRenderer.send('ll-sw-select', id),
+  onState: (cb) => {
+    ipcRenderer.on('ll-sw-state', (_event, state) => cb(state));
+    // Ask main for the current list once the listener exists.
+    ipcRenderer.send('ll-sw-ready');
+  },
+});
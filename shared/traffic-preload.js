@@ -0,0 +1,13 @@
+// traffic-preload.js — bridge for the local network traffic window
+// (traffic.html). main.js counts what each host costs and pushes the counts
+// here; the window only reads them. Mirrors firewall-preload.js.
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('llTraffic', {
+  close: () => ipcRenderer.send('ll-tr-close'),
+  onState: (cb) => {
+    ipcRenderer.on('ll-tr-state', (_event, state) => cb(state));
+    // Ask main for the current counts once the listener exists.
+    ipcRenderer.send('ll-tr-ready');
+  },
+});
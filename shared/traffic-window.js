@@ -0,0 +1,133 @@
+// traffic-window.js — UI logic for the network traffic window (traffic.html).
+// Renders whatever main.js pushes for the chosen period, busiest first; the
+// column headers change the order.
+(function () {
+  var api = window.llTraffic || { close: function () {}, onState: function () {} };
+
+  var headEl = document.getElementById('head');
+  var rowsEl = document.getElementById('rows');
+  var emptyEl = document.getElementById('empty');
+  var viewEl = document.getElementById('view');
+  var filterEl = document.getElementById('filter');
+  var statusEl = document.getElementById('status');
+
+  var state = null;
+  var sortKey = 'requests';
+
+  function cell(tr, text, className) {
+    var td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    tr.appendChild(td);
+    return td;
+  }
+
+  function size(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    var units = ['KB', 'MB', 'GB', 'TB'];
+    var n = bytes / 1024;
+    var i = 0;
+    while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+    return (n < 10 ? n.toFixed(1) : Math.round(n)) + ' ' + units[i];
+  }
+
+  function plural(n, word) {
+    return n + ' ' + word + (n === 1 ? '' : 's');
+  }
+
+  function columns() {
+    return (state.suite ? [{ key: 'service', label: 'Service' }] : []).concat([
+      { key: 'host', label: 'Host' },
+      { key: 'requests', label: 'Requests', num: true },
+      { key: 'bytes', label: 'Received', num: true },
+      { key: 'errors', label: 'Errors', num: true },
+    ]);
+  }
+
+  function renderHead() {
+    headEl.textContent = '';
+    columns().forEach(function (c) {
+      var th = document.createElement('th');
+      th.textContent = c.label;
+      th.className = (c.num ? 'num' : '') + (c.key === sortKey ? ' sorted' : '');
+      th.addEventListener('click', function () {
+        sortKey = c.key;
+        renderHead();
+        render();
+      });
+      headEl.appendChild(th);
+    });
+  }
+
+  function renderViews() {
+    var selected = viewEl.value || 'launch';
+    viewEl.textContent = '';
+    state.views.forEach(function (v) {
+      var option = document.createElement('option');
+      option.value = v.id;
+      option.textContent = v.label;
+      viewEl.appendChild(option);
+    });
+    // A day that has just rolled over is gone from the list; fall back to "since launch".
+    viewEl.value = selected;
+    if (viewEl.selectedIndex === -1) viewEl.value = 'launch';
+  }
+
+  function currentView() {
+    for (var i = 0; i < state.views.length; i++) {
+      if (state.views[i].id === viewEl.value) return state.views[i];
+    }
+    return state.views[0];
+  }
+
+  function compare(a, b) {
+    if (sortKey === 'host' || sortKey === 'service') {
+      return (a[sortKey] || '').localeCompare(b[sortKey] || '') || a.host.localeCompare(b.host);
+    }
+    return b[sortKey] - a[sortKey] || a.host.localeCompare(b.host);
+  }
+
+  function render() {
+    if (!state) return;
+    var view = currentView();
+    var needle = filterEl.value.trim().toLowerCase();
+    var shown = view.rows.filter(function (r) {
+      return !needle || r.host.indexOf(needle) !== -1 || (r.service || '').toLowerCase().indexOf(needle) !== -1;
+    }).sort(compare);
+    rowsEl.textContent = '';
+    shown.forEach(function (r) {
+      var tr = document.createElement('tr');
+      if (state.suite) cell(tr, r.service);
+      cell(tr, r.host, 'host');
+      cell(tr, String(r.requests), 'num');
+      var received = cell(tr, size(r.bytes) + (r.unsized ? '+' : ''), 'num');
+      if (r.unsized) received.title = plural(r.unsized, 'response') + ' did not declare a size and are not included.';
+      cell(tr, String(r.errors), 'num' + (r.errors ? ' errors' : ''));
+      rowsEl.appendChild(tr);
+    });
+    emptyEl.hidden = shown.length > 0;
+    emptyEl.textContent = view.rows.length ? 'Nothing matches the filter.' : 'No requests yet.';
+    var requests = 0;
+    var bytes = 0;
+    var errors = 0;
+    view.rows.forEach(function (r) { requests += r.requests; bytes += r.bytes; errors += r.errors; });
+    statusEl.textContent = view.rows.length
+      ? plural(view.rows.length, 'host') + ', ' + plural(requests, 'request') + ', ' + size(bytes) + ', ' + plural(errors, 'error')
+      : '';
+  }
+
+  viewEl.addEventListener('change', render);
+  filterEl.addEventListener('input', render);
+  document.getElementById('close').addEventListener('click', function () { api.close(); });
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') { e.preventDefault(); api.close(); }
+  });
+
+  api.onState(function (next) {
+    var first = !state;
+    state = next;
+    if (first) renderHead();
+    renderViews();
+    render();
+  });
+})();
@@ -0,0 +1,118 @@
+// traffic.js — per-host traffic accounting for the shared wrapper runtime.
+//
+// What each host the app talks to costs: requests, bytes received and errors,
+// since launch (in memory) and per local calendar day (traffic.json in
+// userData, TRAFFIC_KEEP_DAYS days), so a chatty telemetry endpoint among
+// allowedHosts stands out. main.js feeds it from webRequest.onCompleted and
+// onErrorOccurred; the traffic window (traffic.html) shows it.
+//
+// Bytes are what the response declared in Content-Length - webRequest does not
+// see the body. Cached responses count as 0, and a response without a length
+// (a stream, chunked encoding) is counted in `unsized` instead, so totals are a
+// floor, not a measurement.
+//
+//   { "version": 1, "days": { "2026-10-19": { "claude.ai": { "requests": 812,
+//     "bytes": 5310233, "unsized": 40, "errors": 3 } } } }
+//
+// A suite keys its hosts "service: host" ("claude: claude.ai"), as the audit
+// summary does.
+//
+// Plain Node, no Electron.
+const path = require('path');
+const fs = require('fs');
+
+const TRAFFIC_FILE = 'traffic.json';
+const TRAFFIC_KEEP_DAYS = 30;
+
+// YYYY-MM-DD in local time: "today" as the user means it.
+function localDay(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyCounter() {
+  return { requests: 0, bytes: 0, unsized: 0, errors: 0 };
+}
+
+// { launch: Map(key -> counter), days: Map(day -> Map(key -> counter)) }
+function createTraffic() {
+  return { launch: new Map(), days: new Map() };
+}
+
+function bump(map, key, { bytes, error }) {
+  let c = map.get(key);
+  if (!c) {
+    c = emptyCounter();
+    map.set(key, c);
+  }
+  c.requests++;
+  if (error) c.errors++;
+  if (bytes == null) c.unsized++;
+  else c.bytes += bytes;
+}
+
+// One finished request. bytes: a number, or null when unknown; error: whether
+// it failed (a network error or an HTTP error status).
+function countRequest(traffic, key, { bytes = null, error = false, day = localDay() } = {}) {
+  bump(traffic.launch, key, { bytes, error });
+  if (!traffic.days.has(day)) traffic.days.set(day, new Map());
+  bump(traffic.days.get(day), key, { bytes, error });
+}
+
+// The declared size of a response, from webRequest's responseHeaders (names
+// in any case, values as arrays), or null.
+function responseBytes(responseHeaders) {
+  for (const [name, value] of Object.entries(responseHeaders || {})) {
+    if (name.toLowerCase() !== 'content-length') continue;
+    const n = Number(Array.isArray(value) ? value[0] : value);
+    return Number.isSafeInteger(n) && n >= 0 ? n : null;
+  }
+  return null;
+}
+
+function validCounter(c) {
+  return c && typeof c === 'object'
+    && ['requests', 'bytes', 'unsized', 'errors'].every((k) => Number.isSafeInteger(c[k]) && c[k] >= 0);
+}
+
+// Read the daily counters into `traffic`. A missing or unreadable file starts
+// the record afresh; returns a problem string, or null.
+function loadTrafficDays(file, traffic) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return err.code === 'ENOENT' ? null : `${file} could not be read (${err.message}) - starting afresh.`;
+  }
+  if (!raw || typeof raw.days !== 'object' || Array.isArray(raw.days)) return `${file} is not a traffic record - starting afresh.`;
+  for (const [day, hosts] of Object.entries(raw.days)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !hosts || typeof hosts !== 'object') continue;
+    const map = new Map();
+    for (const [key, c] of Object.entries(hosts)) {
+      if (validCounter(c)) map.set(key, { requests: c.requests, bytes: c.bytes, unsized: c.unsized, errors: c.errors });
+    }
+    traffic.days.set(day, map);
+  }
+  return null;
+}
+
+// Write the daily counters, dropping all but the newest TRAFFIC_KEEP_DAYS.
+function saveTrafficDays(file, traffic) {
+  const days = [...traffic.days.keys()].sort().reverse();
+  for (const day of days.slice(TRAFFIC_KEEP_DAYS)) traffic.days.delete(day);
+  const out = { version: 1, days: {} };
+  for (const day of days.slice(0, TRAFFIC_KEEP_DAYS).reverse()) out.days[day] = Object.fromEntries(traffic.days.get(day));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(out) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+module.exports = {
+  TRAFFIC_FILE,
+  countRequest,
+  createTraffic,
+  loadTrafficDays,
+  localDay,
+  responseBytes,
+  saveTrafficDays,
+};
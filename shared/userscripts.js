@@ -0,0 +1,149 @@
+// userscripts.js — *.user.js loading for the shared wrapper runtime.
+//
+// A userscript is a plain JS file with a Greasemonkey-style header:
+//
+//   // ==UserScript==
+//   // @name    Wide chat column
+//   // @match   https://claude.ai/*
+//   // @run-at  dom-ready
+//   // ==/UserScript==
+//
+// @match takes Chrome match patterns (scheme://host/path with * wildcards, or
+// <all_urls>) and may repeat; a script without one never runs. @run-at is
+// 'dom-ready' or 'did-finish-load' (the default, and when the old
+// PAGE_INJECT_JS ran); the Greasemonkey names document-end / document-idle are
+// accepted as aliases.
+//
+// Scripts come from two directories, in order: userscripts/ shipped in the
+// wrapper directory, then userscripts/ in the service's userData. A user file
+// with the same name replaces the shipped one. userscripts.json next to the
+// user directory holds the enable/disable state: { "disabled": ["x.user.js"] }.
+//
+// Plain Node, no Electron; main.js does the injecting.
+const path = require('path');
+const fs = require('fs');
+
+const USERSCRIPT_DIR = 'userscripts';
+const USERSCRIPT_STATE_FILE = 'userscripts.json';
+const RUN_AT = {
+  'dom-ready': 'dom-ready',
+  'document-end': 'dom-ready',
+  'did-finish-load': 'did-finish-load',
+  'document-idle': 'did-finish-load',
+};
+
+// '*' scheme means http or https, as in Chrome; any other scheme is literal.
+function matchPatternToRegExp(pattern) {
+  if (pattern === '<all_urls>') return /^https?:\/\//;
+  const m = /^(\*|https?|file):\/\/(\*|\*\.[^/*]+|[^/*]+)?(\/.*)$/.exec(pattern);
+  if (!m) return null;
+  const [, scheme, host = '', pathPart] = m;
+  const esc = (s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const schemeRe = scheme === '*' ? 'https?' : esc(scheme);
+  let hostRe;
+  if (host === '*') hostRe = '[^/]+';
+  else if (host.startsWith('*.')) hostRe = `(?:[^/]+\\.)?${esc(host.slice(2))}`;
+  else hostRe = esc(host);
+  const pathRe = esc(pathPart).replace(/\*/g, '.*');
+  return new RegExp(`^${schemeRe}://${hostRe}(?::\\d+)?${pathRe}$`, 'i');
+}
+
+// Parse the ==UserScript== header. Returns { meta, problems }.
+function parseMetadata(source) {
+  const meta = { name: null, matches: [], runAt: 'did-finish-load' };
+  const problems = [];
+  const block = /\/\/\s*==UserScript==([\s\S]*?)\/\/\s*==\/UserScript==/.exec(source);
+  if (!block) {
+    problems.push('no ==UserScript== header');
+    return { meta, problems };
+  }
+  for (const line of block[1].split('\n')) {
+    const m = /^\s*\/\/\s*@([\w-]+)\s*(.*?)\s*$/.exec(line);
+    if (!m) continue;
+    const [, key, value] = m;
+    if (key === 'name') meta.name = value;
+    else if (key === 'match') {
+      const re = matchPatternToRegExp(value);
+      if (re) meta.matches.push(re);
+      else problems.push(`@match ${JSON.stringify(value)} is not a match pattern - ignored`);
+    } else if (key === 'run-at') {
+      if (RUN_AT[value]) meta.runAt = RUN_AT[value];
+      else problems.push(`@run-at ${JSON.stringify(value)} is not dom-ready or did-finish-load - using ${meta.runAt}`);
+    }
+  }
+  if (!meta.matches.length) problems.push('no usable @match - it will never run');
+  return { meta, problems };
+}
+
+function readDisabled(stateFile, problems) {
+  let raw;
+  try {
+    raw = fs.readFileSync(stateFile, 'utf8');
+  } catch {
+    return new Set();
+  }
+  try {
+    const data = JSON.parse(raw);
+    if (data && Array.isArray(data.disabled)) return new Set(data.disabled.filter((f) => typeof f === 'string'));
+    problems.push(`${stateFile}: expected { "disabled": [ ... ] } - ignored.`);
+  } catch (err) {
+    problems.push(`${stateFile} is not valid JSON (${err.message}) - ignored.`);
+  }
+  return new Set();
+}
+
+// Load every *.user.js from dirs (later dirs win on a name clash). Returns
+// { scripts, problems }; each script is { file, name, path, code, matches,
+// runAt, enabled }. Problems are log lines, never fatal: one broken script must
+// not take the others down.
+function loadUserscripts(dirs, stateFile) {
+  const problems = [];
+  const disabled = readDisabled(stateFile, problems);
+  const byFile = new Map();
+
+  for (const dir of dirs) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch {
+      continue; // no such directory: nothing to load
+    }
+    for (const file of entries.filter((f) => f.endsWith('.user.js')).sort()) {
+      const full = path.join(dir, file);
+      let source;
+      try {
+        source = fs.readFileSync(full, 'utf8');
+      } catch (err) {
+        problems.push(`${full}: cannot read (${err.message}) - skipped.`);
+        continue;
+      }
+      const { meta, problems: metaProblems } = parseMetadata(source);
+      for (const p of metaProblems) problems.push(`${full}: ${p}`);
+      byFile.set(file, {
+        file,
+        name: meta.name || file,
+        path: full,
+        // Own scope per run (a re-injected `const` would otherwise throw), and a
+        // sourceURL so devtools shows the file by name in stack traces.
+        code: `(function () {\n${source}\n})();\n//# sourceURL=userscript:///${encodeURIComponent(file)}`,
+        matches: meta.matches,
+        runAt: meta.runAt,
+        enabled: !disabled.has(file),
+      });
+    }
+  }
+  return { scripts: [...byFile.values()], problems };
+}
+
+function userscriptMatches(script, url) {
+  return script.matches.some((re) => re.test(url));
+}
+
+module.exports = {
+  USERSCRIPT_DIR,
+  USERSCRIPT_STATE_FILE,
+  loadUserscripts,
+  matchPatternToRegExp,
+  parseMetadata,
+  userscriptMatches,
+};
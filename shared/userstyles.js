@@ -0,0 +1,64 @@
+// userstyles.js — user CSS loading for the shared wrapper runtime.
+//
+// styles/ in the service's userData holds plain .css files named after the
+// host they apply to:
+//
+//   styles/claude.ai.css   claude.ai and its subdomains
+//   styles/all.css         every page of the app
+//
+// Host keys match like the allowlists (the host or any subdomain), so one file
+// covers a site however it shards its pages. main.js inserts the matching
+// sheets into each document and reloads them when a file changes.
+//
+// Plain Node, no Electron.
+const path = require('path');
+const fs = require('fs');
+
+const { isHostEntry } = require('./profile');
+
+const USERSTYLE_DIR = 'styles';
+const ALL_PAGES = 'all';
+
+// Read every *.css in dir. Returns { styles, problems }; each style is
+// { file, key, css }. A missing directory is simply no styles.
+function loadUserStyles(dir) {
+  const styles = [];
+  const problems = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return { styles, problems };
+  }
+  for (const file of entries.filter((f) => f.endsWith('.css')).sort()) {
+    const key = file.slice(0, -'.css'.length).toLowerCase();
+    if (key !== ALL_PAGES && !isHostEntry(key)) {
+      problems.push(`${path.join(dir, file)}: "${key}" is not a hostname (e.g. claude.ai.css) or "${ALL_PAGES}" - ignored.`);
+      continue;
+    }
+    try {
+      styles.push({ file, key, css: fs.readFileSync(path.join(dir, file), 'utf8') });
+    } catch (err) {
+      problems.push(`${path.join(dir, file)}: cannot read (${err.message}) - ignored.`);
+    }
+  }
+  return { styles, problems };
+}
+
+function userStyleMatches(style, urlString) {
+  try {
+    const u = new URL(urlString);
+    if (u.protocol !== 'https:' && u.protocol !== 'http:') return false;
+    if (style.key === ALL_PAGES) return true;
+    const host = u.hostname.toLowerCase();
+    return host === style.key || host.endsWith(`.${style.key}`);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  USERSTYLE_DIR,
+  loadUserStyles,
+  userStyleMatches,
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// new-wrapper.js — scaffold a new *-linux-flatpak wrapper from template/.
+//
+//   npm run new-wrapper -- --name Mistral --home https://chat.mistral.ai/ \
+//     --hosts mistral.ai,challenges.cloudflare.com [--in-app chat.mistral.ai] \
+//     [--trusted mistral.ai] [--slug mistral] [--app-id io.github.example.mistral]
+//
+// Writes <slug>-linux-flatpak/ at the repository root: profile.json, the entry
+// shim, package.json with the identity fields filled in, the build scripts and
+// a placeholder icon. The profile is checked with the same guard the app runs
+// at startup (profile.js), so a home page the firewall would block is caught
+// here rather than as a blank window after a flatpak build.
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+
+const { PROFILE_FILE, parseProfile, profileProblems, hostMatches, isAppId } = require('../shared/profile');
+
+const ROOT = path.join(__dirname, '..');
+const TEMPLATE_DIR = path.join(ROOT, 'template');
+// Copied verbatim; package.json and profile.json are generated.
+const TEMPLATE_FILES = ['main.js', 'compile_arch.sh', 'compile_debian.sh', 'LICENSE'];
+const ICON_FILE = '512x512.png';
+const ICON_SIZE = 512;
+const ICON_RGB = [0x1b, 0x1b, 0x22]; // the wrappers' window background
+
+function die(msg) {
+  console.error(`Error: ${msg}`);
+  process.exit(1);
+}
+
+const USAGE = `Usage: npm run new-wrapper -- --name <Name> --home <https URL> [options]
+
+  --name     Product name and window title (e.g. Mistral)
+  --home     Home page; must be https and covered by --hosts
+  --hosts    Comma-separated allowedHosts (default: the home page's host)
+  --in-app   Comma-separated inAppHosts (default: none, i.e. same as --hosts)
+  --trusted  Comma-separated trustedHosts (default: the --hosts entry that
+             covers the home page)
+  --slug     Directory, package name and app-id suffix (default: the name,
+             lowercased)
+  --app-id   Full flatpak app id (default: the template's prefix + slug)`;
+
+function splitList(value) {
+  return value ? value.split(',').map((s) => s.trim()).filter(Boolean) : null;
+}
+
+function readArgs() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        name: { type: 'string' },
+        home: { type: 'string' },
+        hosts: { type: 'string' },
+        'in-app': { type: 'string' },
+        trusted: { type: 'string' },
+        slug: { type: 'string' },
+        'app-id': { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (err) {
+    die(`${err.message}\n\n${USAGE}`);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (!values.name || !values.name.trim()) die(`--name is required.\n\n${USAGE}`);
+  if (!values.home) die(`--home is required.\n\n${USAGE}`);
+  return values;
+}
+
+// ---------------- Placeholder icon ----------------
+// A flat 512x512 PNG in the window background colour, so the build has an icon
+// to embed until a real one replaces it. Encoded by hand to keep the tooling
+// dependency-free.
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function placeholderPng(size, [r, g, b]) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(size, 0);
+  ihdr.writeUInt32BE(size, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // colour type: RGB
+  const row = Buffer.alloc(1 + size * 3); // leading 0 = no filter
+  for (let x = 0; x < size; x++) row.set([r, g, b], 1 + x * 3);
+  const raw = Buffer.concat(new Array(size).fill(row));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ---------------- Build the wrapper ----------------
+function buildProfile(args, appId) {
+  let home;
+  try { home = new URL(args.home); } catch { die(`--home ${args.home} is not a URL.`); }
+  if (home.protocol !== 'https:') die(`--home must be https (the firewall only ever allows https).`);
+
+  const allowedHosts = splitList(args.hosts) || [home.hostname];
+  const inAppHosts = splitList(args['in-app']);
+  const trustedHosts = splitList(args.trusted)
+    || allowedHosts.filter((h) => hostMatches(home.href, [h.toLowerCase()]));
+
+  const raw = {
+    title: args.name.trim(),
+    appId,
+    homeUrl: home.href,
+    allowedHosts,
+    inAppHosts,
+    trustedHosts,
+  };
+  let profile;
+  try {
+    profile = parseProfile(raw, TEMPLATE_DIR);
+  } catch (err) {
+    die(err.message);
+  }
+  const problems = profileProblems(profile);
+  if (problems.length) die(problems.map((p) => `[config] ${p}`).join('\n'));
+
+  // Write the normalized lists, as the runtime will read them.
+  return {
+    ...raw,
+    allowedHosts: profile.allowedHosts,
+    inAppHosts: profile.inAppHosts,
+    trustedHosts: profile.trustedHosts,
+  };
+}
+
+// The package name is the slug: npm refuses spaces and capitals, which a
+// display name like "My Chat" has. The name stays the product name.
+function buildPackageJson(name, slug, appId) {
+  const pkg = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, 'package.json'), 'utf8'));
+  pkg.name = slug;
+  pkg.description = `Unofficial ${name} for Linux`;
+  // The admin policy extension point (policy.js) is named after the app.
+  pkg.build.flatpak.finishArgs = pkg.build.flatpak.finishArgs
+    .map((arg) => arg.replace(`--extension=${pkg.build.appId}.`, `--extension=${appId}.`));
+  pkg.build.appId = appId;
+  pkg.build.productName = name;
+  return pkg;
+}
+
+function main() {
+  const args = readArgs();
+  const name = args.name.trim();
+  const slug = (args.slug || name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+  if (!slug) die(`cannot derive a slug from ${JSON.stringify(name)}; pass --slug.`);
+
+  const templatePkg = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, 'package.json'), 'utf8'));
+  const appIdPrefix = templatePkg.build.appId.split('.').slice(0, -1).join('.');
+  const appId = args['app-id'] || `${appIdPrefix}.${slug}`;
+  if (!isAppId(appId)) {
+    die(`app id ${appId} is not a valid reverse-DNS flatpak id (e.g. io.github.you.${slug}).`);
+  }
+  // compile_arch.sh names its build cache after the app id's last segment.
+  if (appId.split('.').pop() !== slug) {
+    console.warn(`Warning: app id ${appId} does not end in the slug "${slug}".`);
+  }
+
+  const outDir = path.join(ROOT, `${slug}-linux-flatpak`);
+  if (fs.existsSync(outDir)) die(`${path.relative(ROOT, outDir)} already exists.`);
+
+  const profile = buildProfile(args, appId);
+  const pkg = buildPackageJson(name, slug, appId);
+
+  fs.mkdirSync(outDir);
+  for (const f of TEMPLATE_FILES) fs.copyFileSync(path.join(TEMPLATE_DIR, f), path.join(outDir, f));
+  fs.writeFileSync(path.join(outDir, 'package.json'), JSON.stringify(pkg, null, 2) + '\n');
+  fs.writeFileSync(path.join(outDir, PROFILE_FILE), JSON.stringify(profile, null, 2) + '\n');
+  fs.writeFileSync(path.join(outDir, ICON_FILE), placeholderPng(ICON_SIZE, ICON_RGB));
+
+  const rel = path.relative(ROOT, outDir);
+  console.log(`Created ${rel}/ (${appId})`);
+  console.log(`  allowedHosts: ${JSON.stringify(profile.allowedHosts)}`);
+  if (profile.inAppHosts) console.log(`  inAppHosts:   ${JSON.stringify(profile.inAppHosts)}`);
+  console.log(`  trustedHosts: ${JSON.stringify(profile.trustedHosts)}`);
+  console.log('Next:');
+  console.log(`  - replace ${rel}/${ICON_FILE} (a flat placeholder) with the real icon`);
+  console.log(`  - try it: cd ${rel} && npm install && npm start`);
+  console.log('  - add any CDN / captcha / auth hosts the site needs to allowedHosts in profile.json');
+  console.log(`  - build: cd ${rel} && bash compile_debian.sh (or compile_arch.sh)`);
+}
+
+main();